@@ -1,63 +1,124 @@
-import { useEffect, useState } from "react";
+import { Route, Routes, useLocation } from "react-router-dom";
 import { PodcastProvider } from "./context/PodcastContext";
-import { fetchPodcasts } from "./api/fetchPodcasts";
-import { genres } from "./data";
+import { AudioPlayerProvider } from "./context/AudioPlayerProvider";
+import { FavouritesProvider } from "./context/FavouritesProvider";
+import { ListeningProgressProvider } from "./context/ListeningProgressProvider";
+import { ThemeProvider } from "./context/ThemeProvider";
+import { LocaleProvider } from "./context/LocaleProvider";
+import { useGenres, useShows } from "./hooks/usePodcastApi";
 import Header from "./components/Header";
 import SearchBar from "./components/SearchBar";
 import SortSelect from "./components/SortSelect";
+import BrowseModeToggle from "./components/BrowseModeToggle";
 import GenreFilter from "./components/GenreFilter";
-import PodcastGrid from "./components/PodcastGrid";
-import Pagination from "./components/Pagination";
+import ShowResults from "./components/ShowResults";
+import ShowDetail from "./components/ShowDetail";
+import PlayerBar from "./components/PlayerBar";
+import OfflineBanner from "./components/OfflineBanner";
+import FavouritesPage from "./components/FavouritesPage";
+import GenrePage from "./components/GenrePage";
+import DataPage from "./components/DataPage";
+import ShortcutHelp from "./components/ShortcutHelp";
 import styles from "./App.module.css";
 
+/**
+ * Routes of the show detail view: the show itself, or one of its seasons or
+ * episodes to scroll to (see getShowPath).
+ */
+const SHOW_DETAIL_PATHS = [
+  "/show/:id",
+  "/show/:id/season/:season",
+  "/show/:id/season/:season/episode/:episode",
+];
+
 /**
  * Root component of the Podcast Explorer app.
- * Handles data fetching and layout composition.
+ * Handles data fetching and layout composition. The homepage stays mounted
+ * while `/show/:id` renders the show detail on top of it, so search, filters
+ * and pagination survive opening and closing a show; links to a season or
+ * episode of a show open the same view. The audio player sits above both so
+ * episodes keep playing while browsing. `/favourites`, `/data` and
+ * `/genre/:id` swap the homepage for the favourites, personal data and genre
+ * views; genre titles come from the API, with `data.js` as a fallback.
  */
 export default function App() {
-  const [podcasts, setPodcasts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const { data, loading, error } = useShows();
+  const podcasts = data || [];
+  const genres = useGenres(podcasts.flatMap((p) => p.genres));
 
-  useEffect(() => {
-    fetchPodcasts(setPodcasts, setError, setLoading);
-  }, []);
+  // When a show is opened from inside the app, the page it was opened from
+  // stays rendered underneath the detail modal.
+  const location = useLocation();
+  const backgroundLocation = location.state?.backgroundLocation;
+
+  const home = (
+    <main className={styles.main}>
+      <section className={styles.controls}>
+        <SearchBar />
+        <GenreFilter genres={genres} />
+        <SortSelect />
+        <BrowseModeToggle />
+      </section>
+
+      <ShowResults loading={loading} error={error} genres={genres} />
+    </main>
+  );
 
   return (
-    <>
-      <Header />
-
-      <PodcastProvider initialPodcasts={podcasts}>
-        <main className={styles.main}>
-          <section className={styles.controls}>
-            <SearchBar />
-            <GenreFilter genres={genres} />
-            <SortSelect />
-          </section>
-
-          {loading && (
-            <div className={styles.messageContainer}>
-              <div className={styles.spinner}></div>
-              <p>Loading podcasts...</p>
-            </div>
-          )}
-
-          {error && (
-            <div className={styles.message}>
-              <div className={styles.error}>
-                Error occurred while fetching podcasts: {error}
-              </div>
-            </div>
-          )}
-
-          {!loading && !error && (
-            <>
-              <PodcastGrid genres={genres} />
-              <Pagination />
-            </>
-          )}
-        </main>
-      </PodcastProvider>
-    </>
+    <ThemeProvider>
+      <LocaleProvider>
+        <ListeningProgressProvider>
+          <AudioPlayerProvider>
+            <FavouritesProvider>
+              <Header />
+              <OfflineBanner />
+
+              <PodcastProvider initialPodcasts={podcasts} genres={genres}>
+                <Routes location={backgroundLocation || location}>
+                  <Route path="/favourites" element={<FavouritesPage />} />
+                  <Route
+                    path="/data"
+                    element={<DataPage podcasts={podcasts} loading={loading} />}
+                  />
+                  <Route
+                    path="/genre/:id"
+                    element={
+                      <GenrePage
+                        podcasts={podcasts}
+                        loading={loading}
+                        error={error}
+                        genres={genres}
+                      />
+                    }
+                  />
+                  <Route path="*" element={home} />
+                </Routes>
+
+                <Routes>
+                  <Route path="/" element={null} />
+                  {SHOW_DETAIL_PATHS.map((path) => (
+                    <Route
+                      key={path}
+                      path={path}
+                      element={
+                        <ShowDetail
+                          podcasts={podcasts}
+                          catalogueLoading={loading}
+                          genres={genres}
+                        />
+                      }
+                    />
+                  ))}
+                  <Route path="*" element={null} />
+                </Routes>
+              </PodcastProvider>
+
+              <PlayerBar />
+              <ShortcutHelp />
+            </FavouritesProvider>
+          </AudioPlayerProvider>
+        </ListeningProgressProvider>
+      </LocaleProvider>
+    </ThemeProvider>
   );
 }
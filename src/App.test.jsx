@@ -0,0 +1,284 @@
+import {
+  fireEvent,
+  render,
+  screen,
+  waitForElementToBeRemoved,
+  within,
+} from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { MemoryRouter } from "react-router-dom";
+import { describe, expect, it, vi } from "vitest";
+import App from "./App";
+import { peekCache } from "./api/podcastApi";
+import { jsonResponse, mockApi, shows } from "./test/mockApi";
+
+/**
+ * @param {string} [route="/"] - Initial URL.
+ */
+function renderApp(route = "/") {
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <App />
+    </MemoryRouter>
+  );
+}
+
+describe("App", () => {
+  it("loads the shows and shows them once they arrive", async () => {
+    const api = mockApi();
+    renderApp();
+
+    expect(screen.getByText("Loading podcasts...")).toBeInTheDocument();
+    expect(await screen.findByText("Crime Junkie")).toBeInTheDocument();
+    expect(screen.queryByText("Loading podcasts...")).not.toBeInTheDocument();
+    expect(screen.getByText(`Showing 1–10 of ${shows.length}`)).toBeVisible();
+    expect(api.requestedPaths()).toContain("/shows");
+  });
+
+  it("replaces the built-in genre titles with the ones from the API", async () => {
+    const api = mockApi();
+    renderApp();
+
+    const filter = screen.getByRole("group", { name: "Filter by genre" });
+    expect(
+      await within(filter).findByRole("button", {
+        name: /Entertainment & Pop Culture/,
+      })
+    ).toBeInTheDocument();
+    expect(api.requestedPaths()).toContain("/genre/5");
+  });
+
+  it("shows an error when the shows can't be loaded", async () => {
+    const api = mockApi();
+    api.respondWith("/shows", () => jsonResponse({}, 404));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderApp();
+
+    expect(
+      await screen.findByText(/Error occurred while fetching podcasts/)
+    ).toHaveTextContent("HTTP error! status: 404");
+  });
+
+  it("opens a show's details in a dialog and closes it on Escape", async () => {
+    const user = userEvent.setup();
+    const api = mockApi();
+    renderApp();
+
+    await user.click(await screen.findByRole("link", { name: "Scamanda" }));
+
+    const dialog = screen.getByRole("dialog", { name: "Scamanda" });
+    expect(
+      await within(dialog).findByText("No seasons available for this series.")
+    ).toBeInTheDocument();
+    expect(api.requestedPaths()).toContain("/id/10276");
+
+    await user.keyboard("{Escape}");
+    await waitForElementToBeRemoved(() => screen.queryByRole("dialog"));
+    // Focus goes back to where the show was opened from.
+    expect(screen.getByRole("link", { name: "Scamanda" })).toHaveFocus();
+  });
+
+  it("loads a show directly from its URL", async () => {
+    mockApi();
+    renderApp("/show/10716");
+
+    expect(
+      await screen.findByRole("dialog", { name: "Something Was Wrong" })
+    ).toBeInTheDocument();
+    expect(await screen.findByText("The Beginning")).toBeInTheDocument();
+  });
+
+  it.each([
+    ["the API doesn't know it", () => jsonResponse({}, 400)],
+    ["its response has no ID", () => jsonResponse({ title: "Mystery" })],
+  ])("says a show wasn't found when %s", async (_, respond) => {
+    const api = mockApi();
+    api.respondWith("/id/99999", respond);
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderApp("/show/99999");
+
+    expect(await screen.findByText("Show not found")).toBeInTheDocument();
+    expect(
+      screen.getByText('We couldn\'t find a show with the ID "99999".')
+    ).toBeInTheDocument();
+  });
+
+  it("reports other errors loading a show", async () => {
+    const api = mockApi();
+    api.respondWith("/id/99999", () => jsonResponse({}, 500));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderApp("/show/99999");
+
+    expect(
+      await screen.findByText(/HTTP error! status: 500/, {}, { timeout: 5000 })
+    ).toBeInTheDocument();
+    expect(screen.queryByText("Show not found")).not.toBeInTheDocument();
+  });
+
+  it("switches the interface language and remembers the choice", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderApp();
+
+    await screen.findByText("Crime Junkie");
+    expect(screen.getAllByText("1 season").length).toBeGreaterThan(0);
+
+    await user.selectOptions(
+      screen.getByRole("combobox", { name: "Language" }),
+      "es"
+    );
+
+    expect(screen.getByText(`Mostrando 1–10 de ${shows.length}`)).toBeVisible();
+    expect(screen.getAllByText("1 temporada").length).toBeGreaterThan(0);
+    expect(document.documentElement).toHaveAttribute("lang", "es");
+    expect(JSON.parse(localStorage.getItem("podcast-app:locale"))).toBe("es");
+  });
+
+  it("opens a recommended show in place and closes back to the page", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    // Not every recommended show has episodes in the fixtures.
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderApp();
+
+    await user.click(await screen.findByRole("link", { name: "Scamanda" }));
+    const strip = await screen.findByRole("region", { name: "More like this" });
+    const links = within(strip).getAllByRole("link");
+    expect(links.length).toBeGreaterThan(0);
+    expect(within(strip).queryByText("Scamanda")).not.toBeInTheDocument();
+
+    const id = new URL(links[0].href).pathname.split("/").pop();
+    const { title } = shows.find((show) => String(show.id) === id);
+    await user.click(links[0]);
+    const dialog = screen.getByRole("dialog", { name: title });
+    expect(within(dialog).getByRole("heading", { name: title })).toHaveFocus();
+
+    await user.keyboard("{Escape}");
+    await waitForElementToBeRemoved(() => screen.queryByRole("dialog"));
+    expect(screen.getByText(`Showing 1–10 of ${shows.length}`)).toBeVisible();
+  });
+
+  it("opens a show at the episode a link points to", async () => {
+    mockApi();
+    renderApp("/show/10716/season/3/episode/1");
+
+    const dialog = await screen.findByRole("dialog", {
+      name: "Something Was Wrong",
+    });
+    const row = (await within(dialog).findByText("Aftermath")).closest(
+      ".episode-item"
+    );
+    expect(row).toHaveClass("is-linked");
+    expect(
+      within(dialog).getByRole("button", { name: /Season 3/ })
+    ).toHaveAttribute("aria-expanded", "true");
+  });
+
+  it("browses the shows with keyboard shortcuts", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderApp();
+
+    await screen.findByText("Crime Junkie");
+    await user.keyboard("/");
+    expect(screen.getByRole("searchbox")).toHaveFocus();
+
+    // Keys typed into the search box are left alone.
+    await user.keyboard("j");
+    expect(screen.getByRole("searchbox")).toHaveValue("j");
+    await user.clear(screen.getByRole("searchbox"));
+    screen.getByRole("searchbox").blur();
+
+    const cards = () => document.querySelectorAll("[data-show-card]");
+    await user.keyboard("j");
+    expect(cards()[0]).toHaveFocus();
+    await user.keyboard("{ArrowRight}j");
+    expect(cards()[2]).toHaveFocus();
+    await user.keyboard("k");
+    expect(cards()[1]).toHaveFocus();
+
+    const title = cards()[1].querySelector("a").textContent;
+    await user.keyboard("{Enter}");
+    expect(
+      await screen.findByRole("dialog", { name: title })
+    ).toBeInTheDocument();
+    // The grid behind the dialog doesn't react.
+    await user.keyboard("k");
+    expect(cards()[1]).not.toHaveFocus();
+
+    await user.keyboard("{Escape}");
+    await waitForElementToBeRemoved(() => screen.queryByRole("dialog"));
+    await user.keyboard("]");
+    expect(
+      screen.getByText(`Showing 11–${shows.length} of ${shows.length}`)
+    ).toBeVisible();
+    // "[[" types a single "[" (a lone "[" starts a key descriptor).
+    await user.keyboard("[[");
+    expect(screen.getByText(`Showing 1–10 of ${shows.length}`)).toBeVisible();
+  });
+
+  it("leaves the arrow keys to the page until a card has focus", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderApp();
+
+    await screen.findByText("Crime Junkie");
+    const cards = document.querySelectorAll("[data-show-card]");
+    // fireEvent returns false when the default action was prevented.
+    expect(fireEvent.keyDown(document.body, { key: "ArrowDown" })).toBe(true);
+    expect(fireEvent.keyDown(document.body, { key: "ArrowRight" })).toBe(true);
+    expect(cards[0]).not.toHaveFocus();
+
+    await user.keyboard("j{ArrowRight}");
+    expect(cards[1]).toHaveFocus();
+  });
+
+  it("lists the shortcuts that apply in a cheat-sheet", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderApp();
+
+    await screen.findByText("Crime Junkie");
+    await user.keyboard("?");
+    const sheet = screen.getByRole("dialog", { name: "Keyboard shortcuts" });
+    expect(within(sheet).getByText("Next page")).toBeInTheDocument();
+    expect(
+      within(sheet).getByText("Open the focused show")
+    ).toBeInTheDocument();
+    expect(within(sheet).queryByText("Next season")).not.toBeInTheDocument();
+
+    await user.keyboard("?");
+    expect(screen.queryByRole("dialog")).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("link", { name: "Something Was Wrong" }));
+    await screen.findByText("The Beginning");
+    await user.keyboard("?");
+    const detailSheet = screen.getByRole("dialog", {
+      name: "Keyboard shortcuts",
+    });
+    expect(within(detailSheet).getByText("Next season")).toBeInTheDocument();
+    expect(
+      within(detailSheet).queryByText("Next page")
+    ).not.toBeInTheDocument();
+  });
+
+  it("prefetches a show when its card is pointed at", async () => {
+    const user = userEvent.setup();
+    const api = mockApi();
+    renderApp();
+
+    const link = await screen.findByRole("link", {
+      name: "Something Was Wrong",
+    });
+    await user.hover(link);
+    await vi.waitFor(() => expect(peekCache("/id/10716")).toBeDefined());
+
+    await user.click(link);
+    const dialog = screen.getByRole("dialog", { name: "Something Was Wrong" });
+    // Rendered from the prefetched details, without a loading message.
+    expect(within(dialog).getByText("The Beginning")).toBeInTheDocument();
+    expect(
+      api.requestedPaths().filter((path) => path === "/id/10716")
+    ).toHaveLength(1);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Persistent store for API responses, backed by IndexedDB, so previously
+ * loaded data can be shown when the network is unavailable.
+ *
+ * Every function resolves (never rejects): when IndexedDB is unavailable or
+ * fails, saving is skipped and loading finds nothing.
+ */
+
+const DB_NAME = "podcast-app";
+const DB_VERSION = 1;
+const STORE_NAME = "responses";
+
+/** @type {Promise<IDBDatabase|null>|null} */
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates) the database.
+ * @returns {Promise<IDBDatabase|null>} The database, or null if unavailable.
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === "undefined") {
+      resolve(null);
+      return;
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore(STORE_NAME, { keyPath: "path" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.error("Failed to open offline store:", req.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Runs a single request against the responses store.
+ *
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {(store: IDBObjectStore) => IDBRequest} operation - Builds the request.
+ * @returns {Promise<*>} The request result, or undefined on failure.
+ */
+async function withStore(mode, operation) {
+  const db = await openDb();
+  if (!db) return undefined;
+
+  return new Promise((resolve) => {
+    try {
+      const req = operation(
+        db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+      );
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.error("Offline store request failed:", req.error);
+        resolve(undefined);
+      };
+    } catch (err) {
+      console.error("Offline store request failed:", err);
+      resolve(undefined);
+    }
+  });
+}
+
+/**
+ * Saves a response for offline use.
+ *
+ * @param {string} path - Request path the data was loaded from.
+ * @param {*} data - The parsed response body.
+ * @returns {Promise<void>}
+ */
+export async function saveResponse(path, data) {
+  await withStore("readwrite", (store) =>
+    store.put({ path, data, savedAt: new Date().toISOString() })
+  );
+}
+
+/**
+ * Loads the last saved copy of a response.
+ *
+ * @param {string} path - Request path.
+ * @returns {Promise<{path: string, data: *, savedAt: string}|undefined>}
+ */
+export function loadResponse(path) {
+  return withStore("readonly", (store) => store.get(path));
+}
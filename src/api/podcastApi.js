@@ -0,0 +1,431 @@
+/**
+ * Shared client for the podcast API (https://podcast-api.netlify.app).
+ *
+ * Every request goes through {@link request}, which adds:
+ * - an in-memory cache with a time-to-live per URL,
+ * - de-duplication, so concurrent requests for the same URL share one fetch,
+ * - cancellation through an AbortSignal per caller,
+ * - retries with exponential backoff for network errors and 5xx responses,
+ * - an offline fallback: the show list and show details are saved to the
+ *   offline store (`offlineStore.js`) and served from there when the network
+ *   fails, then refreshed in the background: when the browser is back online,
+ *   after any later request succeeds, and on a timer that backs off meanwhile,
+ * - validation: responses are checked and normalised against their schema
+ *   (`schemas.js`) before anyone sees them, so a malformed record is
+ *   repaired or dropped instead of breaking the page.
+ */
+
+import { loadResponse, saveResponse } from "./offlineStore";
+import { validateResponse } from "./schemas";
+
+/** Base URL of the podcast API. */
+export const API_BASE_URL = "https://podcast-api.netlify.app";
+
+/** How long a successful response is served from the cache (5 minutes). */
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+/** Number of retries after the first failed attempt. */
+const MAX_RETRIES = 2;
+
+/** Delay before the first retry; doubled for every following retry. */
+const RETRY_BASE_DELAY_MS = 500;
+
+/**
+ * Delay before data served from the offline store is first refreshed on a
+ * timer; doubled for every refresh that fails, up to the maximum.
+ */
+const STALE_REFRESH_BASE_DELAY_MS = 30 * 1000;
+const STALE_REFRESH_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Error thrown for unsuccessful HTTP responses.
+ * `status` holds the HTTP status code so callers can tell a missing
+ * resource (404) apart from a server failure.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code of the response.
+   * @param {string} path - Request path, e.g. `/id/10716`.
+   */
+  constructor(status, path) {
+    super(`HTTP error! status: ${status}`);
+    this.name = "ApiError";
+    this.status = status;
+    this.path = path;
+  }
+
+  /** @returns {boolean} Whether the API doesn't know the requested resource. */
+  get isNotFound() {
+    return this.status === 400 || this.status === 404;
+  }
+}
+
+/**
+ * Cached responses by path.
+ * @type {Map<string, {data: *, expiresAt: number}>}
+ */
+const cache = new Map();
+
+/**
+ * Requests in flight by path, shared between callers.
+ * @type {Map<string, {promise: Promise<*>, controller: AbortController, subscribers: number}>}
+ */
+const inFlight = new Map();
+
+/**
+ * Paths currently served from the offline store, with the date they were saved.
+ * @type {Map<string, string>}
+ */
+const staleSince = new Map();
+
+/** Timer of the next refresh of stale data, and its delay. */
+let refreshTimer = null;
+let refreshDelay = STALE_REFRESH_BASE_DELAY_MS;
+
+/**
+ * Listeners notified with a path whenever its data or offline state changes.
+ * @type {Set<(path: string) => void>}
+ */
+const listeners = new Set();
+
+/**
+ * Number of subscribers showing each path's data.
+ * @type {Map<string, number>}
+ */
+const watchers = new Map();
+
+/**
+ * Subscribes to data and offline state changes, e.g. fresh data arriving for
+ * a path that was served from the offline store.
+ *
+ * Subscribers that pass the `path` they show count towards
+ * {@link getStaleSince}. Once the last of them unsubscribes, an offline copy
+ * of that path is dropped from the cache, so the next visit loads it afresh.
+ *
+ * @param {(path: string) => void} listener - Called with the changed path.
+ * @param {string} [path] - Path whose data the subscriber shows.
+ * @returns {Function} Unsubscribes the listener.
+ */
+export function subscribe(listener, path) {
+  listeners.add(listener);
+  if (path) {
+    watchers.set(path, (watchers.get(path) || 0) + 1);
+    if (staleSince.has(path)) notify(path);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (!path) return;
+    const remaining = watchers.get(path) - 1;
+    if (remaining > 0) {
+      watchers.set(path, remaining);
+      return;
+    }
+    watchers.delete(path);
+    if (staleSince.has(path)) {
+      cache.delete(path);
+      markFresh(path);
+      notify(path);
+    }
+  };
+}
+
+/**
+ * @param {string} path - The path that changed.
+ */
+function notify(path) {
+  listeners.forEach((listener) => listener(path));
+}
+
+/**
+ * Returns the save date of the oldest data currently shown from the offline
+ * store, or null when everything on screen came from the network. Only paths
+ * with a subscriber showing them count (see {@link subscribe}).
+ *
+ * @returns {string|null} ISO date string, or null.
+ */
+export function getStaleSince() {
+  const dates = [...staleSince]
+    .filter(([path]) => watchers.has(path))
+    .map(([, savedAt]) => savedAt);
+  return dates.length ? dates.sort()[0] : null;
+}
+
+/**
+ * @param {string} path - Request path.
+ * @returns {boolean} Whether responses for the path are kept for offline use.
+ */
+function isSavedOffline(path) {
+  return path === "/shows" || path.startsWith("/id/");
+}
+
+/**
+ * Returns a cached response if it hasn't expired yet.
+ *
+ * @param {string} path - Request path.
+ * @returns {*|undefined} The cached data, or undefined.
+ */
+export function peekCache(path) {
+  const entry = cache.get(path);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(path);
+    return undefined;
+  }
+  return entry.data;
+}
+
+/**
+ * Empties the response cache and forgets which paths were served from the
+ * offline store, e.g. to force fresh data.
+ */
+export function clearCache() {
+  cache.clear();
+  staleSince.clear();
+  markFresh(null);
+}
+
+/**
+ * Resolves after the given delay, or rejects early if the signal aborts.
+ *
+ * @param {number} ms - Delay in milliseconds.
+ * @param {AbortSignal} signal - Signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(id);
+      reject(signal.reason);
+    };
+    // Long-lived signals see many waits, so don't leave listeners behind.
+    const id = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * @param {Error} err - Error from a failed attempt.
+ * @returns {boolean} Whether another attempt could succeed.
+ */
+function isRetryable(err) {
+  if (err.name === "AbortError") return false;
+  if (err instanceof ApiError) return err.status >= 500;
+  // fetch rejects with a TypeError on network failures.
+  return err instanceof TypeError;
+}
+
+/**
+ * Fetches and parses a path, retrying transient failures with backoff.
+ *
+ * @param {string} path - Request path.
+ * @param {AbortSignal} signal - Signal that cancels the whole operation.
+ * @returns {Promise<*>} The parsed JSON body.
+ */
+async function fetchWithRetry(path, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const res = await fetch(`${API_BASE_URL}${path}`, { signal });
+      if (!res.ok) throw new ApiError(res.status, path);
+      return await res.json();
+    } catch (err) {
+      if (attempt >= MAX_RETRIES || !isRetryable(err)) throw err;
+      await wait(RETRY_BASE_DELAY_MS * 2 ** attempt, signal);
+    }
+  }
+}
+
+/**
+ * Loads a path from the network, falling back to the offline store when the
+ * browser is offline or the request fails with a network or server error.
+ *
+ * @param {string} path - Request path.
+ * @param {AbortSignal} signal - Signal that cancels the whole operation.
+ * @returns {Promise<*>} The parsed JSON body.
+ */
+async function load(path, signal) {
+  if (!isSavedOffline(path)) return fetchWithRetry(path, signal);
+
+  let networkError = null;
+  if (navigator.onLine) {
+    try {
+      const data = await fetchWithRetry(path, signal);
+      saveResponse(path, data);
+      markFresh(path);
+      // The API answers again, so whatever is still stale can be refreshed.
+      refreshStale();
+      return data;
+    } catch (err) {
+      // Only fall back for failures a retry could have fixed (network, 5xx).
+      if (!isRetryable(err)) throw err;
+      networkError = err;
+    }
+  }
+
+  const saved = await loadResponse(path);
+  if (!saved) {
+    throw (
+      networkError ||
+      new Error(
+        "You're offline and this hasn't been saved for offline use yet."
+      )
+    );
+  }
+
+  staleSince.set(path, saved.savedAt);
+  scheduleRefresh();
+  return saved.data;
+}
+
+/**
+ * Forgets that a path is served from the offline store. Once nothing is, the
+ * refresh timer stops and its delay starts over.
+ *
+ * @param {string|null} path - Request path, or null to only check the timer.
+ */
+function markFresh(path) {
+  staleSince.delete(path);
+  if (staleSince.size) return;
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  refreshDelay = STALE_REFRESH_BASE_DELAY_MS;
+}
+
+/**
+ * Schedules a refresh of the stale data, unless one is scheduled already.
+ * Each refresh that fails falls back to the offline store again, which
+ * schedules the next one after twice the delay.
+ */
+function scheduleRefresh() {
+  if (refreshTimer || !staleSince.size) return;
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshDelay = Math.min(refreshDelay * 2, STALE_REFRESH_MAX_DELAY_MS);
+    refreshStale();
+  }, refreshDelay);
+}
+
+/**
+ * Reloads everything that is being served from the offline store. Listeners
+ * are notified as fresh data arrives.
+ */
+function refreshStale() {
+  [...staleSince.keys()].forEach((path) => {
+    cache.delete(path);
+    request(path).catch((err) => {
+      console.error(`Failed to refresh ${path}:`, err);
+    });
+  });
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", refreshStale);
+}
+
+/**
+ * Makes a cached, de-duplicated GET request to the API.
+ *
+ * Aborting `signal` only cancels this caller's interest: the shared request
+ * keeps running for other callers and is aborted once nobody is waiting.
+ *
+ * @param {string} path - Request path, e.g. `/shows`.
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<*>} The parsed JSON body.
+ * @throws {ApiError} For unsuccessful responses.
+ * @throws {import("./schemas").SchemaError} For responses that are unusable as a whole.
+ * @throws {DOMException} With name "AbortError" when `signal` aborts.
+ */
+export function request(path, { signal } = {}) {
+  const cached = peekCache(path);
+  if (cached !== undefined) return Promise.resolve(cached);
+  if (signal?.aborted) return Promise.reject(signal.reason);
+
+  let entry = inFlight.get(path);
+  if (!entry) {
+    const controller = new AbortController();
+    const created = { controller, subscribers: 0 };
+    created.promise = load(path, controller.signal)
+      .then((raw) => {
+        const data = validateResponse(path, raw);
+        cache.set(path, { data, expiresAt: Date.now() + CACHE_TTL_MS });
+        notify(path);
+        return data;
+      })
+      .finally(() => {
+        if (inFlight.get(path) === created) inFlight.delete(path);
+      });
+    inFlight.set(path, created);
+    entry = created;
+  }
+
+  const shared = entry;
+  shared.subscribers++;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const onAbort = () => {
+      if (settled) return;
+      settled = true;
+      shared.subscribers--;
+      if (shared.subscribers === 0) {
+        // Nobody is waiting any more: cancel the fetch and let the next
+        // caller start a fresh one instead of joining the aborted request.
+        if (inFlight.get(path) === shared) inFlight.delete(path);
+        shared.controller.abort();
+      }
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort);
+
+    shared.promise.then(
+      (data) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener("abort", onAbort);
+        resolve(data);
+      },
+      (err) => {
+        if (settled) return;
+        settled = true;
+        signal?.removeEventListener("abort", onAbort);
+        reject(err);
+      }
+    );
+  });
+}
+
+/**
+ * Fetches all show previews.
+ *
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<Object[]>} The show previews.
+ */
+export function getShows(options) {
+  return request("/shows", options);
+}
+
+/**
+ * Fetches the full details of a show, including seasons and episodes.
+ *
+ * @param {string|number} id - ID of the show.
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<Object>} The show details.
+ */
+export function getShow(id, options) {
+  return request(`/id/${id}`, options);
+}
+
+/**
+ * Fetches a genre with its title, description and show IDs.
+ *
+ * @param {string|number} id - ID of the genre.
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<Object>} The genre.
+ */
+export function getGenre(id, options) {
+  return request(`/genre/${id}`, options);
+}
@@ -0,0 +1,250 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { jsonResponse, mockApi, shows, showDetails } from "../test/mockApi";
+
+/** Responses in the offline store, by path. */
+const saved = vi.hoisted(() => new Map());
+
+// IndexedDB isn't available in jsdom; keep the offline store in memory.
+vi.mock("./offlineStore", () => ({
+  saveResponse: async (path, data) =>
+    saved.set(path, { path, data, savedAt: new Date().toISOString() }),
+  loadResponse: async (path) => saved.get(path),
+}));
+
+/**
+ * The client under test. The test setup imports the client before the mock
+ * above applies, so every test loads a fresh copy that uses the mock (and
+ * starts with an empty cache).
+ * @type {typeof import("./podcastApi")}
+ */
+let client;
+
+const SAVED_AT = "2024-03-01T10:00:00.000Z";
+
+/**
+ * Puts a response in the offline store.
+ * @param {string} path - Request path.
+ * @param {*} data - The saved response.
+ */
+function saveOffline(path, data) {
+  saved.set(path, { path, data, savedAt: SAVED_AT });
+}
+
+/** @param {boolean} online - What `navigator.onLine` reports. */
+function setOnline(online) {
+  Object.defineProperty(navigator, "onLine", {
+    value: online,
+    configurable: true,
+  });
+}
+
+describe("request", () => {
+  beforeEach(async () => {
+    vi.resetModules();
+    client = await import("./podcastApi");
+  });
+
+  afterEach(() => {
+    client.clearCache();
+    delete navigator.onLine;
+    saved.clear();
+    vi.useRealTimers();
+  });
+
+  it("caches responses", async () => {
+    const api = mockApi();
+
+    expect(await client.request("/shows")).toEqual(shows);
+    expect(client.peekCache("/shows")).toEqual(shows);
+    await client.request("/shows");
+    expect(api.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("shares one fetch between concurrent callers", async () => {
+    const api = mockApi();
+
+    const [first, second] = await Promise.all([
+      client.request("/id/10716"),
+      client.request("/id/10716"),
+    ]);
+    expect(first).toBe(second);
+    expect(api.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("aborts the shared fetch only once every caller has", async () => {
+    const api = mockApi();
+    const first = new AbortController();
+    const second = new AbortController();
+
+    const aborted = client.request("/shows", { signal: first.signal });
+    const kept = client.request("/shows", { signal: second.signal });
+    first.abort();
+    await expect(aborted).rejects.toThrow();
+    expect(await kept).toEqual(shows);
+
+    const third = new AbortController();
+    const cancelled = client.request("/id/10716", { signal: third.signal });
+    third.abort();
+    await expect(cancelled).rejects.toThrow();
+    expect(api.fetch.mock.calls.at(-1)[1].signal.aborted).toBe(true);
+  });
+
+  it("retries server errors with backoff", async () => {
+    vi.useFakeTimers();
+    const api = mockApi();
+    let attempts = 0;
+    api.respondWith("/shows", () =>
+      ++attempts < 3 ? jsonResponse({}, 503) : jsonResponse(shows)
+    );
+
+    const result = client.request("/shows");
+    await vi.advanceTimersByTimeAsync(500 + 1000);
+    expect(await result).toEqual(shows);
+    expect(attempts).toBe(3);
+  });
+
+  it("doesn't retry a missing resource", async () => {
+    const api = mockApi();
+
+    const error = await client.request("/id/unknown").catch((err) => err);
+    expect(error).toBeInstanceOf(client.ApiError);
+    expect(error.isNotFound).toBe(true);
+    expect(api.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("saves shows for offline use", async () => {
+    mockApi();
+
+    await client.request("/id/10716");
+    expect(saved.get("/id/10716").data).toEqual(showDetails["10716"]);
+  });
+
+  describe("offline", () => {
+    it("serves the saved copy while offline", async () => {
+      const api = mockApi();
+      setOnline(false);
+      saveOffline("/shows", shows);
+
+      expect(await client.request("/shows")).toEqual(shows);
+      expect(api.fetch).not.toHaveBeenCalled();
+    });
+
+    it("serves the saved copy when the server keeps failing", async () => {
+      vi.useFakeTimers();
+      const api = mockApi();
+      api.respondWith("/shows", () => jsonResponse({}, 500));
+      saveOffline("/shows", shows);
+
+      const result = client.request("/shows");
+      await vi.advanceTimersByTimeAsync(500 + 1000);
+      expect(await result).toEqual(shows);
+      expect(api.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it("explains when nothing was saved", async () => {
+      mockApi();
+      setOnline(false);
+
+      await expect(client.request("/id/10716")).rejects.toThrow(
+        "You're offline and this hasn't been saved for offline use yet."
+      );
+    });
+
+    it("reports saved data only while something shows it", async () => {
+      mockApi();
+      setOnline(false);
+      saveOffline("/id/10716", showDetails["10716"]);
+      const listener = vi.fn();
+
+      await client.request("/id/10716");
+      expect(client.getStaleSince()).toBeNull();
+
+      const unsubscribe = client.subscribe(listener, "/id/10716");
+      expect(client.getStaleSince()).toBe(SAVED_AT);
+      expect(listener).toHaveBeenCalledWith("/id/10716");
+
+      unsubscribe();
+      expect(client.getStaleSince()).toBeNull();
+      // The saved copy isn't served from the cache any more either.
+      expect(client.peekCache("/id/10716")).toBeUndefined();
+    });
+
+    it("keeps reporting saved data while another subscriber shows it", async () => {
+      mockApi();
+      setOnline(false);
+      saveOffline("/id/10716", showDetails["10716"]);
+
+      await client.request("/id/10716");
+      const unsubscribeFirst = client.subscribe(() => {}, "/id/10716");
+      const unsubscribeSecond = client.subscribe(() => {}, "/id/10716");
+      unsubscribeFirst();
+      expect(client.getStaleSince()).toBe(SAVED_AT);
+      unsubscribeSecond();
+      expect(client.getStaleSince()).toBeNull();
+    });
+
+    it("stops reporting saved data once fresh data arrives", async () => {
+      mockApi();
+      setOnline(false);
+      saveOffline("/shows", shows);
+      const unsubscribe = client.subscribe(() => {}, "/shows");
+
+      await client.request("/shows");
+      expect(client.getStaleSince()).toBe(SAVED_AT);
+
+      setOnline(true);
+      window.dispatchEvent(new Event("online"));
+      await vi.waitFor(() => expect(client.getStaleSince()).toBeNull());
+      unsubscribe();
+    });
+
+    it("refreshes saved data once another request succeeds", async () => {
+      vi.useFakeTimers();
+      const api = mockApi();
+      api.respondWith("/shows", () => jsonResponse({}, 500));
+      saveOffline("/shows", shows);
+      const unsubscribe = client.subscribe(() => {}, "/shows");
+
+      const result = client.request("/shows");
+      await vi.advanceTimersByTimeAsync(500 + 1000);
+      await result;
+      expect(client.getStaleSince()).toBe(SAVED_AT);
+
+      api.respondWith("/shows", () => jsonResponse(shows));
+      await client.request("/id/10716");
+      await vi.waitFor(() => expect(client.getStaleSince()).toBeNull());
+      expect(api.requestedPaths().at(-1)).toBe("/shows");
+      unsubscribe();
+    });
+
+    it("retries refreshing saved data on a timer that backs off", async () => {
+      vi.useFakeTimers();
+      const api = mockApi();
+      api.respondWith("/shows", () => jsonResponse({}, 500));
+      saveOffline("/shows", shows);
+      const unsubscribe = client.subscribe(() => {}, "/shows");
+      /** @returns {number} How often `/shows` was fetched. */
+      const fetches = () =>
+        api.requestedPaths().filter((path) => path === "/shows").length;
+
+      const result = client.request("/shows");
+      await vi.advanceTimersByTimeAsync(500 + 1000);
+      await result;
+      expect(fetches()).toBe(3);
+
+      // The first refresh, after 30 seconds, fails as well...
+      await vi.advanceTimersByTimeAsync(30 * 1000 + 500 + 1000);
+      expect(fetches()).toBe(6);
+      expect(client.getStaleSince()).toBe(SAVED_AT);
+
+      // ...so the next one waits twice as long.
+      api.respondWith("/shows", () => jsonResponse(shows));
+      await vi.advanceTimersByTimeAsync(59 * 1000);
+      expect(fetches()).toBe(6);
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(fetches()).toBe(7);
+      await vi.waitFor(() => expect(client.getStaleSince()).toBeNull());
+      unsubscribe();
+    });
+  });
+});
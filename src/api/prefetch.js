@@ -0,0 +1,117 @@
+/**
+ * Speculative loading of show details, so a show's detail view can render
+ * straight from the cache of the API client (`podcastApi.js`) when opened.
+ *
+ * Prefetches wait in a queue and only a few run at a time, leaving the
+ * network free for requests the user is actually waiting for. Shows the user
+ * points at jump the queue; shows that merely scrolled past wait at the back
+ * and leave the queue again if they scroll away before their turn. Nothing
+ * is prefetched while the browser is offline or asks to save data.
+ */
+
+import { getShow, peekCache } from "./podcastApi";
+import { SchemaError } from "./schemas";
+
+/** Maximum number of prefetches running at the same time. */
+const MAX_CONCURRENT = 2;
+
+/**
+ * IDs of the shows waiting to be prefetched, next first.
+ * @type {string[]}
+ */
+const queue = [];
+
+/**
+ * IDs of the shows being prefetched.
+ * @type {Set<string>}
+ */
+const running = new Set();
+
+/**
+ * IDs of the shows whose prefetch failed for good, because the show doesn't
+ * exist or its details can't be used. They aren't tried again: opening the
+ * show loads it (and reports errors) as usual. Shows that failed for other
+ * reasons, e.g. a flaky connection, may be prefetched again later.
+ * @type {Set<string>}
+ */
+const failed = new Set();
+
+/**
+ * @returns {boolean} Whether speculative requests should be avoided, because
+ * the browser is offline or the user enabled a data saver.
+ */
+function shouldSaveData() {
+  return !navigator.onLine || Boolean(navigator.connection?.saveData);
+}
+
+/**
+ * @param {Error} error - Why a prefetch failed.
+ * @returns {boolean} Whether trying again would fail the same way.
+ */
+function isPermanentFailure(error) {
+  return Boolean(error?.isNotFound) || error instanceof SchemaError;
+}
+
+/** Starts queued prefetches while there is room. */
+function runQueue() {
+  while (running.size < MAX_CONCURRENT && queue.length) {
+    const id = queue.shift();
+    running.add(id);
+    getShow(id)
+      .catch((error) => {
+        if (isPermanentFailure(error)) failed.add(id);
+      })
+      .finally(() => {
+        running.delete(id);
+        runQueue();
+      });
+  }
+}
+
+/**
+ * @function prefetchShow
+ * Queues the details of a show for loading, unless they are cached, already
+ * on their way or known not to load.
+ *
+ * @param {string|number} id - ID of the show.
+ * @param {{urgent?: boolean}} [options] - `urgent` moves the show to the
+ * front of the queue, e.g. when the user points at it.
+ * @returns {void}
+ **/
+export function prefetchShow(id, { urgent = false } = {}) {
+  const key = String(id);
+  if (shouldSaveData() || running.has(key) || failed.has(key)) return;
+  if (peekCache(`/id/${key}`) !== undefined) return;
+
+  const queued = queue.indexOf(key);
+  if (queued !== -1) {
+    if (!urgent) return;
+    queue.splice(queued, 1);
+  }
+  if (urgent) queue.unshift(key);
+  else queue.push(key);
+  runQueue();
+}
+
+/**
+ * @function cancelPrefetch
+ * Takes a show off the queue if its prefetch hasn't started yet.
+ *
+ * @param {string|number} id - ID of the show.
+ * @returns {void}
+ **/
+export function cancelPrefetch(id) {
+  const queued = queue.indexOf(String(id));
+  if (queued !== -1) queue.splice(queued, 1);
+}
+
+/**
+ * @function resetPrefetch
+ * Forgets queued and failed prefetches, e.g. between tests.
+ *
+ * @returns {void}
+ **/
+export function resetPrefetch() {
+  queue.length = 0;
+  failed.clear();
+}
@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { cancelPrefetch, prefetchShow } from "./prefetch";
+import { peekCache } from "./podcastApi";
+import { jsonResponse, mockApi, showDetails } from "../test/mockApi";
+
+/**
+ * Answers `/id/:id` requests only when told to.
+ * @returns {{api: ReturnType<typeof mockApi>, answer: (id: string) => void, answerAll: () => Promise<void>}}
+ * `answerAll` answers every request still waiting, and resolves once the
+ * prefetches are done so none outlives the test.
+ */
+function mockSlowShows() {
+  const api = mockApi();
+  const pending = new Map();
+  ["10716", "10276", "7654", "5675"].forEach((id) =>
+    api.respondWith(
+      `/id/${id}`,
+      () =>
+        new Promise((resolve) =>
+          pending.set(id, () =>
+            resolve(jsonResponse({ ...showDetails["10716"], id }))
+          )
+        )
+    )
+  );
+
+  const answer = (id) => {
+    pending.get(id)();
+    pending.delete(id);
+  };
+  const answerAll = async () => {
+    while (pending.size) {
+      const ids = [...pending.keys()];
+      ids.forEach(answer);
+      await vi.waitFor(() =>
+        ids.forEach((id) => expect(peekCache(`/id/${id}`)).toBeDefined())
+      );
+    }
+  };
+  return { api, answer, answerAll };
+}
+
+const requestedShows = (api) =>
+  api.requestedPaths().map((path) => path.replace("/id/", ""));
+
+describe("prefetchShow", () => {
+  afterEach(() => {
+    delete navigator.connection;
+  });
+
+  it("loads show details into the cache", async () => {
+    mockApi();
+    prefetchShow(10716);
+
+    await vi.waitFor(() =>
+      expect(peekCache("/id/10716")).toEqual(showDetails["10716"])
+    );
+  });
+
+  it("runs two prefetches at a time, urgent ones first", async () => {
+    const { api, answer, answerAll } = mockSlowShows();
+    prefetchShow("10716");
+    prefetchShow("10276");
+    prefetchShow("7654");
+    prefetchShow("5675", { urgent: true });
+    expect(requestedShows(api)).toEqual(["10716", "10276"]);
+
+    answer("10716");
+    await vi.waitFor(() =>
+      expect(requestedShows(api)).toEqual(["10716", "10276", "5675"])
+    );
+    await answerAll();
+    expect(requestedShows(api)).toEqual(["10716", "10276", "5675", "7654"]);
+  });
+
+  it("skips shows taken off the queue before their turn", async () => {
+    const { api, answerAll } = mockSlowShows();
+    prefetchShow("10716");
+    prefetchShow("10276");
+    prefetchShow("7654");
+    cancelPrefetch("7654");
+
+    await answerAll();
+    expect(requestedShows(api)).toEqual(["10716", "10276"]);
+  });
+
+  it("doesn't load shows that are cached or don't exist", async () => {
+    const api = mockApi();
+    prefetchShow("10716");
+    prefetchShow("unknown");
+    await vi.waitFor(() => expect(peekCache("/id/10716")).toBeDefined());
+    // Let the failed request settle.
+    await new Promise((resolve) => setTimeout(resolve));
+
+    prefetchShow("10716");
+    prefetchShow("unknown");
+    expect(api.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it("tries again after a failure that may not last", async () => {
+    vi.useFakeTimers();
+    const api = mockApi();
+    api.respondWith("/id/10716", () => jsonResponse({}, 503));
+    prefetchShow("10716");
+    // Let the request give up after its retries.
+    await vi.advanceTimersByTimeAsync(500 + 1000);
+    vi.useRealTimers();
+    await vi.waitFor(() =>
+      expect(requestedShows(api)).toEqual(["10716", "10716", "10716"])
+    );
+    await new Promise((resolve) => setTimeout(resolve));
+
+    api.respondWith("/id/10716", () => jsonResponse(showDetails["10716"]));
+    prefetchShow("10716");
+    await vi.waitFor(() =>
+      expect(peekCache("/id/10716")).toEqual(showDetails["10716"])
+    );
+  });
+
+  it("does nothing when the user asks to save data", () => {
+    const api = mockApi();
+    Object.defineProperty(navigator, "connection", {
+      value: { saveData: true },
+      configurable: true,
+    });
+
+    prefetchShow("10716", { urgent: true });
+    expect(api.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Schemas of the podcast API's responses. Every response is checked and
+ * normalised here before it is cached, so components can rely on its shape:
+ * IDs are strings (genre IDs numbers), counts are numbers, lists are arrays.
+ *
+ * A bad field is repaired when it has a sensible default (an empty
+ * description, no genres); a record missing something it can't do without
+ * (an ID or a title) is dropped from its list. Either way the rest of the
+ * response is kept, and in development a warning lists what was wrong.
+ * Only a response that is unusable as a whole is rejected, with a
+ * {@link SchemaError}.
+ */
+
+/** Most problems listed in a single warning. */
+const MAX_REPORTED_PROBLEMS = 20;
+
+/**
+ * Error thrown when a response can't be used at all, e.g. a list of shows
+ * that isn't a list.
+ */
+export class SchemaError extends Error {
+  /**
+   * @param {string} path - Request path, e.g. `/id/10716`.
+   * @param {string} problem - What is wrong with the response.
+   */
+  constructor(path, problem) {
+    super(`Unexpected response from ${path}: ${problem}`);
+    this.name = "SchemaError";
+    this.path = path;
+  }
+}
+
+/** Returned by field parsers for values that don't fit. */
+const INVALID = Symbol("invalid");
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * @param {*} value
+ * @returns {string} Short description of a value for warnings.
+ */
+function describe(value) {
+  if (value === undefined) return "missing";
+  const json = JSON.stringify(value) ?? String(value);
+  return `invalid (${json.length > 40 ? `${json.slice(0, 40)}…` : json})`;
+}
+
+/**
+ * @typedef {(value: *, where: string, problems: string[]) => *} Parser
+ * Returns the normalised value or INVALID, and may add problems about parts
+ * it dropped (e.g. bad items of a list).
+ */
+
+/**
+ * @typedef Field
+ * @property {Parser} parse
+ * @property {*|((record: Object, index: number) => *)} [fallback] - Value
+ * used when the field is invalid. Without one the record is dropped.
+ */
+
+/** @type {Parser} Non-empty strings; numbers are turned into strings. */
+const id = (value) =>
+  (typeof value === "string" && value.trim()) || Number.isFinite(value)
+    ? String(value)
+    : INVALID;
+
+/** @type {Parser} */
+const text = (value) =>
+  typeof value === "string"
+    ? value
+    : Number.isFinite(value)
+      ? String(value)
+      : INVALID;
+
+/** @type {Parser} Strings with at least one visible character. */
+const title = (value) => {
+  const parsed = text(value);
+  return parsed === INVALID || !parsed.trim() ? INVALID : parsed;
+};
+
+/** @type {Parser} Whole numbers from 0 up, also written as strings. */
+const wholeNumber = (value) => {
+  const number = typeof value === "string" ? Number(value) : value;
+  return Number.isInteger(number) && number >= 0 && value !== ""
+    ? number
+    : INVALID;
+};
+
+/** @type {Parser} Date strings that parse. */
+const date = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value))
+    ? value
+    : INVALID;
+
+/**
+ * @param {Parser} parseItem
+ * @returns {Parser} Arrays, keeping only the items that parse.
+ */
+const listOf = (parseItem) => (value, where, problems) => {
+  if (!Array.isArray(value)) return INVALID;
+  return value.flatMap((item, index) => {
+    const parsed = parseItem(item, `${where}[${index}]`, problems);
+    if (parsed !== INVALID) return [parsed];
+    problems.push(`${where}[${index}]: ${describe(item)}, dropped`);
+    return [];
+  });
+};
+
+/**
+ * Normalises one record: every field of the schema is parsed, and repaired
+ * or reported. Fields the schema doesn't know are kept as they are.
+ *
+ * @param {*} record
+ * @param {Object<string, Field>} schema
+ * @param {string} where - Location of the record, for warnings.
+ * @param {string[]} problems - Collects what was wrong.
+ * @param {number} [index] - Position of the record in its list.
+ * @returns {Object|INVALID} The record, or INVALID if it has to be dropped.
+ */
+function parseRecord(record, schema, where, problems, index = 0) {
+  if (!isObject(record)) return INVALID;
+
+  const result = { ...record };
+  const repairs = [];
+  for (const [name, field] of Object.entries(schema)) {
+    const value = field.parse(record[name], `${where}.${name}`, problems);
+    if (value !== INVALID) {
+      result[name] = value;
+      continue;
+    }
+    if (!("fallback" in field)) {
+      problems.push(`${where}.${name}: ${describe(record[name])}`);
+      return INVALID;
+    }
+    result[name] =
+      typeof field.fallback === "function"
+        ? field.fallback(record, index)
+        : field.fallback;
+    repairs.push(
+      `${where}.${name}: ${describe(record[name])}, replaced with ${JSON.stringify(
+        result[name]
+      )}`
+    );
+  }
+  problems.push(...repairs);
+  return result;
+}
+
+/**
+ * @param {Object<string, Field>} schema
+ * @returns {Parser} Arrays of records, dropping those that don't fit.
+ */
+const recordsOf = (schema) => (value, where, problems) => {
+  if (!Array.isArray(value)) return INVALID;
+  const seen = new Set();
+  return value.flatMap((item, index) => {
+    const at = `${where}[${index}]`;
+    const parsed = parseRecord(item, schema, at, problems, index);
+    if (parsed === INVALID) {
+      problems.push(
+        isObject(item)
+          ? `${problems.pop()}, record dropped`
+          : `${at}: ${describe(item)}, dropped`
+      );
+      return [];
+    }
+    if ("id" in schema && seen.has(parsed.id)) {
+      problems.push(`${at}: duplicate ID ${parsed.id}, dropped`);
+      return [];
+    }
+    seen.add(parsed.id);
+    return [parsed];
+  });
+};
+
+/**
+ * Show preview, as listed by `/shows`.
+ * @type {Object<string, Field>}
+ */
+const PREVIEW_SCHEMA = {
+  id: { parse: id },
+  title: { parse: title },
+  description: { parse: text, fallback: "" },
+  seasons: { parse: wholeNumber, fallback: 0 },
+  image: { parse: text, fallback: "" },
+  genres: { parse: listOf(wholeNumber), fallback: [] },
+  updated: { parse: date, fallback: null },
+};
+
+/** @type {Object<string, Field>} */
+const EPISODE_SCHEMA = {
+  episode: { parse: wholeNumber, fallback: (record, index) => index + 1 },
+  title: { parse: text, fallback: "" },
+  description: { parse: text, fallback: "" },
+  file: { parse: text, fallback: "" },
+};
+
+/** @type {Object<string, Field>} */
+const SEASON_SCHEMA = {
+  season: { parse: wholeNumber, fallback: (record, index) => index + 1 },
+  title: { parse: text, fallback: "" },
+  image: { parse: text, fallback: "" },
+  episodes: { parse: recordsOf(EPISODE_SCHEMA), fallback: [] },
+};
+
+/**
+ * Show with its seasons and episodes, from `/id/:id`. Genres are listed by
+ * title here.
+ * @type {Object<string, Field>}
+ */
+const SHOW_SCHEMA = {
+  ...PREVIEW_SCHEMA,
+  genres: { parse: listOf(title), fallback: [] },
+  seasons: { parse: recordsOf(SEASON_SCHEMA), fallback: [] },
+};
+
+/**
+ * Genre, from `/genre/:id`.
+ * @type {Object<string, Field>}
+ */
+const GENRE_SCHEMA = {
+  id: { parse: wholeNumber },
+  title: { parse: title },
+  description: { parse: text, fallback: "" },
+  shows: { parse: listOf(id), fallback: [] },
+};
+
+/**
+ * Schema of each kind of response, by request path.
+ * @type {{pattern: RegExp, parse: Parser}[]}
+ */
+const RESPONSES = [
+  { pattern: /^\/shows$/, parse: recordsOf(PREVIEW_SCHEMA) },
+  {
+    pattern: /^\/id\/[^/]+$/,
+    parse: (value, where, problems) =>
+      parseRecord(value, SHOW_SCHEMA, where, problems),
+  },
+  {
+    pattern: /^\/genre\/[^/]+$/,
+    parse: (value, where, problems) =>
+      parseRecord(value, GENRE_SCHEMA, where, problems),
+  },
+];
+
+/**
+ * @function validateResponse
+ * Checks a response against the schema for its path and returns the
+ * normalised data, with bad records repaired or dropped. In development a
+ * warning lists every problem found. Paths without a schema pass through.
+ *
+ * @param {string} path - Request path, e.g. `/shows`.
+ * @param {*} data - The parsed JSON body.
+ * @returns {*} The normalised data.
+ * @throws {SchemaError} When the response can't be used at all.
+ **/
+export function validateResponse(path, data) {
+  const response = RESPONSES.find(({ pattern }) => pattern.test(path));
+  if (!response) return data;
+
+  /** @type {string[]} */
+  const problems = [];
+  const parsed = response.parse(data, "response", problems);
+  if (parsed === INVALID) {
+    // A record rejected as a whole reports the field that failed last.
+    throw new SchemaError(path, problems.at(-1) ?? describe(data));
+  }
+
+  if (problems.length && import.meta.env.DEV) {
+    const listed = problems.slice(0, MAX_REPORTED_PROBLEMS);
+    const more = problems.length - listed.length;
+    console.warn(
+      [
+        `Repaired the response from ${path}:`,
+        ...listed.map((problem) => `- ${problem}`),
+        ...(more > 0 ? [`…and ${more} more`] : []),
+      ].join("\n")
+    );
+  }
+  return parsed;
+}
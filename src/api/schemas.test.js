@@ -0,0 +1,133 @@
+import { describe, expect, it, vi } from "vitest";
+import { SchemaError, validateResponse } from "./schemas";
+import { showDetails, shows } from "../test/mockApi";
+
+/** @returns {import("vitest").MockInstance} The silenced console.warn. */
+const silenceWarnings = () =>
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+
+describe("validateResponse", () => {
+  it("passes well-formed responses through without warnings", () => {
+    const warn = vi.spyOn(console, "warn");
+
+    expect(validateResponse("/shows", shows)).toEqual(shows);
+    expect(validateResponse("/id/10716", showDetails["10716"])).toEqual(
+      showDetails["10716"]
+    );
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it("leaves paths without a schema alone", () => {
+    const data = { anything: true };
+    expect(validateResponse("/other", data)).toBe(data);
+  });
+
+  it("repairs show previews and drops those it can't use", () => {
+    const warn = silenceWarnings();
+    const valid = shows[0];
+
+    const result = validateResponse("/shows", [
+      {
+        ...valid,
+        id: 10716,
+        seasons: "3",
+        genres: [1, "2", "x"],
+        description: null,
+        updated: "not a date",
+      },
+      { ...valid, id: "2", title: "   " },
+      { ...valid, id: "10716", title: "Duplicate" },
+      "not a show",
+      { ...valid, id: "3", genres: "Comedy" },
+    ]);
+
+    expect(result).toEqual([
+      {
+        ...valid,
+        id: "10716",
+        seasons: 3,
+        genres: [1, 2],
+        description: "",
+        updated: null,
+      },
+      { ...valid, id: "3", genres: [] },
+    ]);
+
+    const [message] = warn.mock.calls[0];
+    expect(message).toMatch(/^Repaired the response from \/shows:/);
+    expect(message).toContain('response[0].genres[2]: invalid ("x"), dropped');
+    expect(message).toContain(
+      'response[0].updated: invalid ("not a date"), replaced with null'
+    );
+    expect(message).toContain(
+      'response[1].title: invalid ("   "), record dropped'
+    );
+    expect(message).toContain("response[2]: duplicate ID 10716, dropped");
+    expect(message).toContain('response[3]: invalid ("not a show"), dropped');
+  });
+
+  it("repairs seasons and episodes of a show", () => {
+    silenceWarnings();
+    const show = validateResponse("/id/1", {
+      id: 1,
+      title: "Show",
+      seasons: [
+        { title: "First", episodes: [{ title: "Pilot" }, null] },
+        { season: 2, episodes: "none" },
+        42,
+      ],
+    });
+
+    expect(show).toMatchObject({
+      id: "1",
+      description: "",
+      genres: [],
+      seasons: [
+        {
+          season: 1,
+          title: "First",
+          image: "",
+          episodes: [{ episode: 1, title: "Pilot", description: "", file: "" }],
+        },
+        { season: 2, title: "", episodes: [] },
+      ],
+    });
+  });
+
+  it("normalises genres", () => {
+    expect(
+      validateResponse("/genre/1", {
+        id: "1",
+        title: "Comedy",
+        description: "Funny",
+        shows: [10716, "5675"],
+      })
+    ).toEqual({
+      id: 1,
+      title: "Comedy",
+      description: "Funny",
+      shows: ["10716", "5675"],
+    });
+  });
+
+  it.each([
+    ["/shows", { shows: [] }, "invalid"],
+    ["/id/1", { title: "No ID" }, "response.id: missing"],
+    ["/genre/1", null, "invalid (null)"],
+  ])("rejects an unusable %s response", (path, data, problem) => {
+    expect(() => validateResponse(path, data)).toThrow(SchemaError);
+    expect(() => validateResponse(path, data)).toThrow(problem);
+  });
+
+  it("caps the number of problems listed in a warning", () => {
+    const warn = silenceWarnings();
+    validateResponse(
+      "/shows",
+      Array.from({ length: 25 }, () => "bad")
+    );
+
+    const lines = warn.mock.calls[0][0].split("\n");
+    expect(lines).toHaveLength(22);
+    expect(lines.at(-1)).toBe("…and 5 more");
+  });
+});
@@ -0,0 +1,106 @@
+import { useState } from "react";
+import styles from "./Artwork.module.css";
+
+/**
+ * Hue of each genre's artwork colour. Genres are numbered 1–9, so spreading
+ * them 40° apart keeps them distinct.
+ */
+const GENRE_HUE_STEP = 40;
+
+/**
+ * @param {string} text
+ * @returns {number} A hue (0–359) derived from the text.
+ */
+function hashHue(text) {
+  let hash = 0;
+  for (const char of text) hash = (hash * 31 + char.codePointAt(0)) | 0;
+  return Math.abs(hash) % 360;
+}
+
+/**
+ * @param {string} title - Title of the show or season.
+ * @returns {string} Up to two initials, e.g. "SW" for "Something Was Wrong".
+ */
+function getInitials(title) {
+  return (title || "")
+    .split(/\s+/)
+    .map((word) => word.match(/[\p{L}\p{N}]/u)?.[0] || "")
+    .filter(Boolean)
+    .slice(0, 2)
+    .join("")
+    .toUpperCase();
+}
+
+/**
+ * Image of a show, season or episode. Off-screen images load lazily and are
+ * decoded off the main thread, and their box keeps its aspect ratio while
+ * loading, filled with a placeholder in the genre's colour. When the image
+ * fails to load (or there is none) a tile with the title's initials in that
+ * colour is shown instead of a broken image icon.
+ *
+ * @param {Object} props
+ * @param {string} [props.src] - Image URL.
+ * @param {string} props.alt - Text alternative; empty for decorative images.
+ * @param {string} props.title - Title the fallback tile takes its initials from.
+ * @param {number} [props.genre] - Genre ID that picks the colour. Without one
+ * the colour is derived from the title.
+ * @param {string} [props.className] - Class for the box, setting its size.
+ * @param {number|string} [props.aspectRatio=1] - Width to height ratio.
+ * @param {boolean} [props.lazy=true] - Whether to wait until the image is
+ * near the viewport; turn off for images that are visible right away.
+ * @returns {JSX.Element} The image, placeholder or fallback tile.
+ */
+export default function Artwork({
+  src,
+  alt,
+  title,
+  genre,
+  className = "",
+  aspectRatio = 1,
+  lazy = true,
+}) {
+  /**
+   * Load state of the image, tracked per URL so a new `src` starts over.
+   * @type {[{src: string|null, status: "loaded"|"failed"|null}, Function]}
+   */
+  const [loadState, setLoadState] = useState({ src: null, status: null });
+  let status = "loading";
+  if (!src) status = "failed";
+  else if (loadState.src === src) status = loadState.status;
+
+  const hue = Number.isInteger(genre)
+    ? (genre * GENRE_HUE_STEP) % 360
+    : hashHue(title || "");
+
+  return (
+    <span
+      className={`${styles.artwork} ${className}`}
+      style={{ aspectRatio, "--artwork-hue": hue }}
+      data-status={status}
+    >
+      {status === "failed" ? (
+        <svg
+          className={styles.fallback}
+          viewBox="0 0 100 100"
+          role={alt ? "img" : undefined}
+          aria-label={alt || undefined}
+          aria-hidden={alt ? undefined : true}
+        >
+          <text x="50" y="50" dominantBaseline="central" textAnchor="middle">
+            {getInitials(title)}
+          </text>
+        </svg>
+      ) : (
+        <img
+          className={styles.image}
+          src={src}
+          alt={alt}
+          loading={lazy ? "lazy" : "eager"}
+          decoding="async"
+          onLoad={() => setLoadState({ src, status: "loaded" })}
+          onError={() => setLoadState({ src, status: "failed" })}
+        />
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,64 @@
+import { fireEvent, render, screen } from "@testing-library/react";
+import { describe, expect, it } from "vitest";
+import Artwork from "./Artwork";
+
+describe("Artwork", () => {
+  it("loads lazily and asynchronously behind a placeholder", () => {
+    const { container } = render(
+      <Artwork src="/show.jpg" alt="Crime Junkie" title="Crime Junkie" />
+    );
+
+    const img = screen.getByRole("img", { name: "Crime Junkie" });
+    expect(img).toHaveAttribute("loading", "lazy");
+    expect(img).toHaveAttribute("decoding", "async");
+    const box = container.firstChild;
+    expect(box).toHaveAttribute("data-status", "loading");
+    expect(box).toHaveStyle({ aspectRatio: "1" });
+
+    fireEvent.load(img);
+    expect(box).toHaveAttribute("data-status", "loaded");
+  });
+
+  it("loads right away when not lazy", () => {
+    render(<Artwork src="/show.jpg" alt="" title="Show" lazy={false} />);
+    expect(document.querySelector("img")).toHaveAttribute("loading", "eager");
+  });
+
+  it("falls back to a tile with the title's initials", () => {
+    render(
+      <Artwork
+        src="/broken.jpg"
+        alt="Something Was Wrong"
+        title="Something Was Wrong"
+        genre={3}
+      />
+    );
+
+    fireEvent.error(screen.getByRole("img"));
+    const tile = screen.getByRole("img", { name: "Something Was Wrong" });
+    expect(tile.tagName).toBe("svg");
+    expect(tile).toHaveTextContent(/^SW$/);
+    expect(tile.parentElement).toHaveStyle({ "--artwork-hue": "120" });
+  });
+
+  it("shows the tile when there is no image, hidden if decorative", () => {
+    const { container } = render(<Artwork alt="" title="the daily" />);
+
+    expect(screen.queryByRole("img")).not.toBeInTheDocument();
+    const tile = container.querySelector("svg");
+    expect(tile).toHaveAttribute("aria-hidden", "true");
+    expect(tile).toHaveTextContent(/^TD$/);
+  });
+
+  it("starts over when the image changes", () => {
+    const { container, rerender } = render(
+      <Artwork src="/a.jpg" alt="Show" title="Show" />
+    );
+    fireEvent.error(screen.getByRole("img"));
+    expect(container.querySelector("svg")).toBeInTheDocument();
+
+    rerender(<Artwork src="/b.jpg" alt="Show" title="Show" />);
+    expect(container.firstChild).toHaveAttribute("data-status", "loading");
+    expect(screen.getByRole("img")).toHaveAttribute("src", "/b.jpg");
+  });
+});
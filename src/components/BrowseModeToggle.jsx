@@ -0,0 +1,37 @@
+import { useContext } from "react";
+import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { BROWSE_MODES } from "../utils/browseModes";
+import styles from "./BrowseModeToggle.module.css";
+
+/**
+ * Switches between browsing the results page by page and as one continuous,
+ * infinitely scrolling list.
+ */
+export default function BrowseModeToggle() {
+  const { browseMode, setBrowseMode } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
+
+  return (
+    <div
+      className={styles.toggle}
+      role="radiogroup"
+      aria-label={t("browseMode.label")}
+    >
+      {BROWSE_MODES.map((mode) => (
+        <button
+          key={mode.key}
+          type="button"
+          role="radio"
+          aria-checked={browseMode === mode.key}
+          className={`${styles.option} ${
+            browseMode === mode.key ? styles.selected : ""
+          }`}
+          onClick={() => setBrowseMode(mode.key)}
+        >
+          {t(`browseMode.${mode.key}`)}
+        </button>
+      ))}
+    </div>
+  );
+}
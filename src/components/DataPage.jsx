@@ -0,0 +1,173 @@
+import { useContext, useEffect, useId, useState } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import {
+  BackupError,
+  applyImport,
+  createBackup,
+  getConflictId,
+  parseBackup,
+  planImport,
+} from "../utils/personalData";
+import { downloadFile } from "../utils/download";
+import { readStorage, writeStorage } from "../utils/storage";
+import ImportPreview from "./ImportPreview";
+import OpmlExport from "./OpmlExport";
+import styles from "./DataPage.module.css";
+
+/**
+ * sessionStorage key set just before the page reloads after an import, so the
+ * reloaded page can confirm it.
+ */
+const IMPORTED_STORAGE_KEY = "podcast-app:data-imported";
+
+/**
+ * DataPage is the routed view for `/data`, where users take their data to
+ * another browser: a JSON backup of favourites, listening progress and
+ * preferences, a way to import such a backup, and an OPML bookmark list of
+ * shows.
+ *
+ * Imports are previewed first. New entries are added, and for every entry
+ * that differs between this browser and the backup the user picks which
+ * version to keep. The page reloads after importing so every part of the app
+ * picks up the merged data, and confirms the import once it is back.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - Show previews of the whole catalogue.
+ * @param {boolean} props.loading - Whether the catalogue is still loading.
+ * @returns {JSX.Element} The data page.
+ */
+export default function DataPage({ podcasts, loading }) {
+  const { t } = useContext(LocaleContext);
+  const fileInputId = useId();
+
+  /**
+   * The backup being imported and its comparison with the stored data.
+   * @type {[{fileName: string, exportedAt: string|null, plan: import("../utils/personalData").SectionPlan[]}|null, Function]}
+   */
+  const [preview, setPreview] = useState(null);
+  /** @type {[Object<string, "mine"|"theirs">, Function]} */
+  const [choices, setChoices] = useState({});
+  /** @type {[string|null, Function]} */
+  const [importError, setImportError] = useState(null);
+  const [imported] = useState(() =>
+    readStorage(IMPORTED_STORAGE_KEY, false, "session")
+  );
+
+  // Confirm an import only on the first load after it.
+  useEffect(() => {
+    if (imported) writeStorage(IMPORTED_STORAGE_KEY, false, "session");
+  }, [imported]);
+
+  const handleExport = () => {
+    const backup = createBackup();
+    downloadFile(
+      `podcast-app-backup-${backup.exportedAt.slice(0, 10)}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  };
+
+  /**
+   * Reads the chosen backup file and previews what importing it would do.
+   * @param {React.ChangeEvent<HTMLInputElement>} e
+   */
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again after cancelling.
+    e.target.value = "";
+    if (!file) return;
+
+    setPreview(null);
+    setImportError(null);
+    try {
+      const backup = parseBackup(await file.text());
+      setPreview({
+        fileName: file.name,
+        exportedAt: backup.exportedAt,
+        plan: planImport(backup),
+      });
+      setChoices({});
+    } catch (err) {
+      if (err instanceof BackupError) {
+        setImportError(err.code);
+        return;
+      }
+      console.error("Failed to read backup:", err);
+      setImportError("unreadable");
+    }
+  };
+
+  /**
+   * Uses the same version for every conflict.
+   * @param {"mine"|"theirs"} choice
+   */
+  const chooseAll = (choice) => {
+    setChoices(
+      Object.fromEntries(
+        preview.plan.flatMap(({ id, conflicts }) =>
+          conflicts.map(({ key }) => [getConflictId(id, key), choice])
+        )
+      )
+    );
+  };
+
+  const handleApply = () => {
+    applyImport(preview.plan, choices);
+    writeStorage(IMPORTED_STORAGE_KEY, true, "session");
+    window.location.reload();
+  };
+
+  return (
+    <main className={styles.page}>
+      <h2 className={styles.heading}>{t("data.heading")}</h2>
+      <p className={styles.intro}>{t("data.intro")}</p>
+
+      <section className={styles.section}>
+        <h3>{t("data.exportHeading")}</h3>
+        <p>{t("data.exportDescription")}</p>
+        <button className={styles.button} onClick={handleExport}>
+          {t("data.exportButton")}
+        </button>
+      </section>
+
+      <section className={styles.section}>
+        <h3>{t("data.importHeading")}</h3>
+        <p>{t("data.importDescription")}</p>
+        <label htmlFor={fileInputId} className={styles.fileLabel}>
+          {t("data.importChoose")}
+        </label>
+        <input
+          id={fileInputId}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+        />
+        {importError && (
+          <p className={styles.error} role="alert">
+            {t(`data.error.${importError}`)}
+          </p>
+        )}
+        {imported && (
+          <p className={styles.status} role="status">
+            {t("data.imported")}
+          </p>
+        )}
+        {preview && (
+          <ImportPreview
+            {...preview}
+            podcasts={podcasts}
+            choices={choices}
+            onChoose={(id, choice) =>
+              setChoices((prev) => ({ ...prev, [id]: choice }))
+            }
+            onChooseAll={chooseAll}
+            onApply={handleApply}
+            onCancel={() => setPreview(null)}
+          />
+        )}
+      </section>
+
+      <OpmlExport podcasts={podcasts} loading={loading} />
+    </main>
+  );
+}
@@ -0,0 +1,65 @@
+import { screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+import DataPage from "./DataPage";
+import { renderWithProviders } from "../test/renderWithProviders";
+import { shows } from "../test/mockApi";
+
+const renderPage = () =>
+  renderWithProviders(<DataPage podcasts={shows} loading={false} />);
+
+describe("DataPage", () => {
+  it("explains why a backup can't be imported", async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.upload(
+      screen.getByLabelText("Choose a backup file"),
+      new File(["{"], "backup.json", { type: "application/json" })
+    );
+    expect(screen.getByRole("alert")).toHaveTextContent(
+      "This file can't be read: it isn't valid JSON."
+    );
+  });
+
+  it("shows a generic error when the file can't be read at all", async () => {
+    const user = userEvent.setup();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    renderPage();
+
+    const file = new File(["{}"], "backup.json", { type: "application/json" });
+    file.text = () => Promise.reject(new Error("Permission denied"));
+    await user.upload(screen.getByLabelText("Choose a backup file"), file);
+
+    expect(await screen.findByRole("alert")).toHaveTextContent(
+      "This file couldn't be read."
+    );
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it("offers shows as a bookmark list, not a subscription export", () => {
+    renderPage();
+
+    expect(
+      screen.getByRole("heading", { name: "Export a bookmark list" })
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/It isn't a subscription export/)
+    ).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: /^Download bookmarks/ })
+    ).toBeInTheDocument();
+  });
+
+  it("confirms an import once, after the page has reloaded", () => {
+    window.sessionStorage.setItem("podcast-app:data-imported", "true");
+    const { unmount } = renderPage();
+    expect(screen.getByRole("status")).toHaveTextContent(
+      "Your data was imported."
+    );
+
+    unmount();
+    renderPage();
+    expect(screen.queryByRole("status")).not.toBeInTheDocument();
+  });
+});
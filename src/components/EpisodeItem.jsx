@@ -0,0 +1,196 @@
+import React, { useContext, useEffect, useState } from "react";
+import { useHref } from "react-router-dom";
+import { AudioPlayerContext } from "../context/AudioPlayerContext";
+import { FavouritesContext } from "../context/FavouritesContext";
+import { ListeningProgressContext } from "../context/ListeningProgressContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { getEpisodeKey } from "../utils/episodeKey";
+import { getEpisodeAnchor, getShowPath } from "../utils/showPath";
+import { formatTime } from "../utils/formatTime";
+import HighlightedText from "./HighlightedText";
+
+/**
+ * EpisodeItem renders a single episode row inside a season of
+ * {@link Modalseries}: number, title, description, favourite star, play
+ * button, listening progress and a button copying a link to the episode.
+ *
+ * @component
+ * @param {Object} props - The component props
+ * @param {string|number} props.showId - ID of the show the episode belongs to
+ * @param {string} props.showTitle - Title of the show
+ * @param {Object} props.season - The season object containing the episode
+ * @param {Object} props.episode - The episode to render
+ * @param {string} [props.query] - Episode search query to highlight
+ * @param {boolean} [props.highlighted] - Whether a deep link points at this episode
+ * @returns {JSX.Element} The episode row
+ */
+const EpisodeItem = ({
+  showId,
+  showTitle,
+  season,
+  episode,
+  query = "",
+  highlighted = false,
+}) => {
+  const { track, isPlaying, playEpisode } = useContext(AudioPlayerContext);
+  const { isFavourite, toggleFavourite } = useContext(FavouritesContext);
+  const { getProgress, resetEpisode } = useContext(ListeningProgressContext);
+  const { t } = useContext(LocaleContext);
+
+  const episodeKey = getEpisodeKey(showId, season.season, episode.episode);
+  const isCurrent = track?.key === episodeKey;
+  const starred = isFavourite(episodeKey);
+  const progress = getProgress(episodeKey);
+  const linkHref = useHref(getShowPath(showId, season.season, episode.episode));
+  const [copied, setCopied] = useState(false);
+
+  // Show the "copied" confirmation for a moment.
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  /**
+   * Copies the episode's deep link to the clipboard, or offers it for manual
+   * copying where the Clipboard API isn't available (e.g. over plain HTTP).
+   */
+  const copyLink = async () => {
+    const url = new URL(linkHref, window.location.origin).href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch (err) {
+      console.error("Failed to copy link:", err);
+      window.prompt(t("episode.copyLinkPrompt"), url);
+    }
+  };
+
+  /**
+   * Share of the episode that has been listened to, as a percentage.
+   * @type {number}
+   */
+  const percent = progress
+    ? progress.completed
+      ? 100
+      : Math.round((progress.position / progress.duration) * 100)
+    : 0;
+
+  return (
+    <div
+      id={getEpisodeAnchor(season.season, episode.episode)}
+      className={`episode-item ${isCurrent ? "is-playing" : ""} ${
+        highlighted ? "is-linked" : ""
+      }`}
+    >
+      <div className="episode-number">
+        {t("episode.number", { number: episode.episode })}
+      </div>
+      <div className="episode-content">
+        <h6 className="episode-title">
+          <HighlightedText text={episode.title} query={query} />
+        </h6>
+        <p className="episode-description">
+          <HighlightedText text={episode.description} query={query} />
+        </p>
+
+        {/* Listening progress indicator */}
+        {progress && (
+          <div
+            className={`episode-progress ${
+              progress.completed ? "is-completed" : "is-in-progress"
+            }`}
+          >
+            <div
+              className="episode-progress-bar"
+              role="progressbar"
+              aria-valuemin={0}
+              aria-valuemax={100}
+              aria-valuenow={percent}
+              aria-label={t("episode.progress")}
+            >
+              <div
+                className="episode-progress-fill"
+                style={{ width: `${percent}%` }}
+              />
+            </div>
+            <span className="episode-progress-label">
+              {progress.completed
+                ? t("episode.completed")
+                : t("episode.inProgress", {
+                    time: formatTime(progress.duration - progress.position),
+                  })}
+            </span>
+            <button
+              className="episode-progress-reset"
+              onClick={() => resetEpisode(episodeKey)}
+              title={t("episode.resetTitle")}
+            >
+              {t("episode.reset")}
+            </button>
+          </div>
+        )}
+
+        <div className="episode-meta">
+          <button
+            className={`episode-favourite-button ${
+              starred ? "is-favourite" : ""
+            }`}
+            onClick={() =>
+              toggleFavourite({
+                key: episodeKey,
+                showId: String(showId),
+                showTitle,
+                season: season.season,
+                episode: episode.episode,
+                title: episode.title,
+              })
+            }
+            aria-pressed={starred}
+            title={t(
+              starred ? "episode.removeFavourite" : "episode.addFavourite"
+            )}
+          >
+            {starred ? "★" : "☆"}
+          </button>
+          {/* Play button feeding the app-wide player */}
+          {episode.file && (
+            <button
+              className={`episode-play-button ${isCurrent ? "is-current" : ""}`}
+              onClick={() =>
+                playEpisode({
+                  key: episodeKey,
+                  src: episode.file,
+                  showId,
+                  showTitle,
+                  season: season.season,
+                  episode: episode.episode,
+                  episodeTitle: episode.title,
+                  image: season.image,
+                })
+              }
+            >
+              {isCurrent && isPlaying
+                ? t("episode.pause")
+                : progress && !progress.completed
+                  ? t("episode.resume")
+                  : t("episode.play")}
+            </button>
+          )}
+          <button
+            className="episode-link-button"
+            onClick={copyLink}
+            title={t("episode.copyLinkTitle")}
+          >
+            {t(copied ? "episode.linkCopied" : "episode.copyLink")}
+          </button>
+          <span className="episode-id">
+            {t("episode.id", { number: episode.episode })}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EpisodeItem;
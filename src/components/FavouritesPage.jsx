@@ -0,0 +1,163 @@
+import { useContext, useState } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { FavouritesContext } from "../context/FavouritesContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { getShowPath } from "../utils/showPath";
+import styles from "./FavouritesPage.module.css";
+
+/**
+ * Sorting options for the favourites view. Labels are under
+ * `favourites.sort.<key>` in the i18n catalogs.
+ * @type {{key: string}[]}
+ */
+const FAVOURITE_SORT_OPTIONS = [
+  { key: "added-desc" },
+  { key: "added-asc" },
+  { key: "title-asc" },
+  { key: "title-desc" },
+];
+
+/**
+ * Groups favourites by show and then by season, ordering the groups by the
+ * chosen sort key. Date sorts order shows and seasons by their most recently
+ * (or earliest) added episode; title sorts order shows alphabetically with
+ * seasons and episodes in natural order.
+ *
+ * @param {import("../context/FavouritesContext").Favourite[]} favourites
+ * @param {string} sortKey - One of {@link FAVOURITE_SORT_OPTIONS}.
+ * @returns {{showId: string, showTitle: string, seasons: {season: number, episodes: Object[]}[]}[]}
+ */
+function groupFavourites(favourites, sortKey) {
+  const byDate = sortKey.startsWith("added");
+  const direction = sortKey.endsWith("desc") ? -1 : 1;
+  const compareDates = (a, b) => direction * (new Date(a) - new Date(b));
+
+  const sorted = [...favourites].sort((a, b) =>
+    byDate ? compareDates(a.addedAt, b.addedAt) : a.episode - b.episode
+  );
+
+  const shows = new Map();
+  sorted.forEach((fav) => {
+    if (!shows.has(fav.showId)) {
+      shows.set(fav.showId, {
+        showId: fav.showId,
+        showTitle: fav.showTitle,
+        seasons: new Map(),
+      });
+    }
+    const show = shows.get(fav.showId);
+    if (!show.seasons.has(fav.season)) {
+      show.seasons.set(fav.season, { season: fav.season, episodes: [] });
+    }
+    show.seasons.get(fav.season).episodes.push(fav);
+  });
+
+  // Maps keep insertion order, so date sorts are already ordered by the
+  // first (most relevant) episode of each group.
+  const groups = [...shows.values()].map((show) => ({
+    ...show,
+    seasons: [...show.seasons.values()].sort((a, b) =>
+      byDate ? 0 : a.season - b.season
+    ),
+  }));
+
+  if (!byDate) {
+    groups.sort((a, b) => direction * a.showTitle.localeCompare(b.showTitle));
+  }
+
+  return groups;
+}
+
+/**
+ * FavouritesPage Component
+ *
+ * Lists the user's favourite episodes grouped by show and season, with a
+ * sort control and a button to remove each favourite in place. Episode
+ * titles link straight to the episode in the show's detail view.
+ *
+ * @component
+ * @returns {JSX.Element} The favourites view.
+ */
+export default function FavouritesPage() {
+  const { favourites, removeFavourite } = useContext(FavouritesContext);
+  const { t, formatDate } = useContext(LocaleContext);
+  const [sortKey, setSortKey] = useState("added-desc");
+  const location = useLocation();
+
+  const groups = groupFavourites(favourites, sortKey);
+  const detailState = { fromApp: true, backgroundLocation: location };
+
+  return (
+    <main className={styles.page}>
+      <div className={styles.toolbar}>
+        <h2 className={styles.heading}>{t("favourites.heading")}</h2>
+        {favourites.length > 0 && (
+          <select
+            className={styles.select}
+            value={sortKey}
+            onChange={(e) => setSortKey(e.target.value)}
+            aria-label={t("favourites.sortLabel")}
+          >
+            {FAVOURITE_SORT_OPTIONS.map((o) => (
+              <option key={o.key} value={o.key}>
+                {t(`favourites.sort.${o.key}`)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {favourites.length === 0 && (
+        <p className={styles.empty}>{t("favourites.empty")}</p>
+      )}
+
+      {groups.map((show) => (
+        <section key={show.showId} className={styles.show}>
+          <h3 className={styles.showTitle}>
+            <Link to={getShowPath(show.showId)} state={detailState}>
+              {show.showTitle}
+            </Link>
+          </h3>
+
+          {show.seasons.map(({ season, episodes }) => (
+            <div key={season} className={styles.season}>
+              <h4 className={styles.seasonTitle}>
+                {t("series.season", { number: season })}
+              </h4>
+              <ul className={styles.episodes}>
+                {episodes.map((fav) => (
+                  <li key={fav.key} className={styles.episode}>
+                    <span className={styles.episodeNumber}>
+                      {t("episode.number", { number: fav.episode })}
+                    </span>
+                    <Link
+                      to={getShowPath(fav.showId, fav.season, fav.episode)}
+                      state={detailState}
+                      className={styles.episodeTitle}
+                    >
+                      {fav.title}
+                    </Link>
+                    <span className={styles.addedAt}>
+                      {t("favourites.added", {
+                        date: formatDate(fav.addedAt),
+                      })}
+                    </span>
+                    <button
+                      className={styles.removeButton}
+                      onClick={() => removeFavourite(fav.key)}
+                      aria-label={t("favourites.removeLabel", {
+                        title: fav.title,
+                      })}
+                    >
+                      {t("favourites.remove")}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </section>
+      ))}
+    </main>
+  );
+}
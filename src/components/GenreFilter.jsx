@@ -1,25 +1,82 @@
 import { useContext } from "react";
 import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
 import styles from "./GenreFilter.module.css";
 
 /**
- * @param {{genres: {id:number,name:string}[]}} props – list of genres from data.
+ * Multi-select genre filter. Each genre is a toggleable chip showing how many
+ * shows matching the current search it contains. With more than one genre
+ * selected, shows can be required to match any or all of them.
+ *
+ * @param {{genres: {id:number,title:string}[]}} props – list of known genres.
  */
 export default function GenreFilter({ genres }) {
-  const { genre, setGenre } = useContext(PodcastContext);
+  const {
+    selectedGenres,
+    toggleGenre,
+    setSelectedGenres,
+    genreMatch,
+    setGenreMatch,
+    genreCounts,
+  } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
 
   return (
-    <select
-      className={styles.select}
-      value={genre}
-      onChange={(e) => setGenre(e.target.value)}
+    <div
+      className={styles.filter}
+      role="group"
+      aria-label={t("genreFilter.label")}
     >
-      <option value="all">All Genres</option>
-      {genres.map((g) => (
-        <option key={g.id} value={g.id}>
-          {g.title}
-        </option>
-      ))}
-    </select>
+      <div className={styles.chips}>
+        {genres.map((g) => {
+          const selected = selectedGenres.includes(g.id);
+          return (
+            <button
+              key={g.id}
+              type="button"
+              className={`${styles.chip} ${selected ? styles.selected : ""}`}
+              aria-pressed={selected}
+              onClick={() => toggleGenre(g.id)}
+            >
+              {g.title}
+              <span className={styles.count}>{genreCounts[g.id] || 0}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className={styles.options}>
+        <div
+          className={styles.match}
+          role="radiogroup"
+          aria-label={t("genreFilter.match")}
+        >
+          {["any", "all"].map((mode) => (
+            <button
+              key={mode}
+              type="button"
+              role="radio"
+              aria-checked={genreMatch === mode}
+              className={`${styles.matchButton} ${
+                genreMatch === mode ? styles.selected : ""
+              }`}
+              onClick={() => setGenreMatch(mode)}
+            >
+              {t(`genreFilter.${mode}`)}
+            </button>
+          ))}
+        </div>
+
+        {selectedGenres.length > 0 && (
+          <button
+            type="button"
+            className={styles.clear}
+            onClick={() => setSelectedGenres([])}
+          >
+            {t("genreFilter.clear", { count: selectedGenres.length })}
+          </button>
+        )}
+      </div>
+    </div>
   );
 }
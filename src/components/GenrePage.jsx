@@ -0,0 +1,89 @@
+import { useContext } from "react";
+import { Link, useParams } from "react-router-dom";
+import { PodcastProvider } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { useGenre } from "../hooks/usePodcastApi";
+import SearchBar from "./SearchBar";
+import SortSelect from "./SortSelect";
+import BrowseModeToggle from "./BrowseModeToggle";
+import ShowResults from "./ShowResults";
+import appStyles from "../App.module.css";
+import styles from "./GenrePage.module.css";
+
+/**
+ * GenrePage is the routed view for `/genre/:id`. It shows the genre's title
+ * and description above a grid of its shows, with the same search, sort and
+ * pagination controls as the homepage.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - Show previews of the whole catalogue.
+ * @param {boolean} props.loading - Whether the catalogue is still loading.
+ * @param {Error|null} props.error - Error from loading the catalogue, if any.
+ * @param {Array<Object>} props.genres - Known genres, from the API or `data.js`.
+ * @returns {JSX.Element} The genre page, or a not-found message.
+ */
+export default function GenrePage({ podcasts, loading, error, genres }) {
+  const { id } = useParams();
+  const { t } = useContext(LocaleContext);
+  const known = genres.find((g) => String(g.id) === id);
+
+  // Genres that no loaded show uses aren't in the list; ask the API directly.
+  const {
+    data: fetched,
+    loading: genreLoading,
+    error: genreError,
+  } = useGenre(known ? null : id);
+  const genre = known || (fetched?.id ? fetched : null);
+
+  if (!genre) {
+    return (
+      <main>
+        {genreLoading ? (
+          <p className={styles.message}>{t("genrePage.loading", { id })}</p>
+        ) : (
+          <div className={styles.message}>
+            <h2>{t("genrePage.notFound")}</h2>
+            <p>
+              {genreError && !genreError.isNotFound
+                ? t("genrePage.loadFailed", { id, message: genreError.message })
+                : t("genrePage.notFoundDetail", { id })}
+            </p>
+            <Link to="/">{t("common.backToAllShows")}</Link>
+          </div>
+        )}
+      </main>
+    );
+  }
+
+  const showIds = (genre.shows || []).map(String);
+  const genrePodcasts = podcasts.filter(
+    (p) => showIds.includes(String(p.id)) || p.genres.includes(genre.id)
+  );
+
+  return (
+    <main>
+      <section className={styles.header}>
+        <Link to="/" className={styles.backLink}>
+          {t("genrePage.back")}
+        </Link>
+        <h2 className={styles.title}>{genre.title}</h2>
+        <p className={styles.description}>{genre.description}</p>
+      </section>
+
+      <PodcastProvider
+        initialPodcasts={genrePodcasts}
+        genres={genres}
+        filterByGenre={false}
+      >
+        <section className={appStyles.controls}>
+          <SearchBar />
+          <SortSelect />
+          <BrowseModeToggle />
+        </section>
+
+        <ShowResults loading={loading} error={error} genres={genres} />
+      </PodcastProvider>
+    </main>
+  );
+}
@@ -0,0 +1,54 @@
+import { useContext } from "react";
+import { Link } from "react-router-dom";
+import { LocaleContext } from "../context/LocaleContext";
+import styles from "./PodcastCard.module.css";
+
+/**
+ * Renders a show's genres as tags linking to each genre's page.
+ *
+ * Show previews list genres by ID while full show payloads list them by
+ * title, so both are accepted and resolved against the known genres. Genres
+ * that can't be resolved are shown as plain, non-clickable tags.
+ *
+ * @param {Object} props
+ * @param {Array<number|string>} props.genreIds - Genre IDs or titles of the show.
+ * @param {Array<Object>} props.genres - Array of genre objects for mapping IDs to titles.
+ * @returns {JSX.Element} The genre tags.
+ */
+export default function GenreTags({ genreIds, genres }) {
+  const { t } = useContext(LocaleContext);
+
+  return (
+    <div className={styles.tags}>
+      {genreIds.map((idOrTitle) => {
+        const match = genres.find((genre) =>
+          typeof idOrTitle === "string"
+            ? genre.title === idOrTitle
+            : genre.id === idOrTitle
+        );
+
+        if (!match) {
+          return (
+            <span key={idOrTitle} className={styles.tag}>
+              {typeof idOrTitle === "string"
+                ? idOrTitle
+                : t("genre.unknown", { id: idOrTitle })}
+            </span>
+          );
+        }
+
+        return (
+          <Link
+            key={idOrTitle}
+            to={`/genre/${match.id}`}
+            className={`${styles.tag} ${styles.tagLink}`}
+            // Keep the click from also opening the card it sits on.
+            onClick={(e) => e.stopPropagation()}
+          >
+            {match.title}
+          </Link>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,8 +1,90 @@
+import { useContext } from "react";
+import { Link, NavLink } from "react-router-dom";
+import { FavouritesContext } from "../context/FavouritesContext";
+import { ListeningProgressContext } from "../context/ListeningProgressContext";
+import { ThemeContext } from "../context/ThemeContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { LOCALES } from "../i18n/translate";
 import styles from "./Header.module.css";
+
+/**
+ * App header with the title, navigation between all shows, the favourites
+ * and the personal data page, a way to clear the listening history, the
+ * light/dark theme toggle and the language selector. Once a theme is picked,
+ * "Auto" returns to following the system preference.
+ */
 export default function Header() {
+  const { favourites } = useContext(FavouritesContext);
+  const { progress, resetAll } = useContext(ListeningProgressContext);
+  const { theme, preference, setPreference, toggleTheme } =
+    useContext(ThemeContext);
+  const { locale, setLocale, t } = useContext(LocaleContext);
+
+  const handleResetHistory = () => {
+    if (window.confirm(t("header.resetHistoryConfirm"))) {
+      resetAll();
+    }
+  };
+
+  const navClass = ({ isActive }) =>
+    `${styles.navLink} ${isActive ? styles.active : ""}`;
+
+  const switchLabel = t(
+    theme === "dark" ? "header.switchToLight" : "header.switchToDark"
+  );
+
   return (
     <header className={styles.appHeader}>
-      <h1>🎙️ Podcast App</h1>
+      <h1>
+        <Link to="/" className={styles.homeLink}>
+          {t("app.title")}
+        </Link>
+      </h1>
+      <nav className={styles.nav}>
+        <NavLink to="/" end className={navClass}>
+          {t("header.allShows")}
+        </NavLink>
+        <NavLink to="/favourites" className={navClass}>
+          {t("header.favourites", { count: favourites.length })}
+        </NavLink>
+        <NavLink to="/data" className={navClass}>
+          {t("header.yourData")}
+        </NavLink>
+        {Object.keys(progress).length > 0 && (
+          <button className={styles.navButton} onClick={handleResetHistory}>
+            {t("header.resetHistory")}
+          </button>
+        )}
+        <button
+          className={styles.navButton}
+          onClick={toggleTheme}
+          title={switchLabel}
+          aria-label={switchLabel}
+        >
+          {t(theme === "dark" ? "header.themeDark" : "header.themeLight")}
+        </button>
+        {preference !== "system" && (
+          <button
+            className={styles.navButton}
+            onClick={() => setPreference("system")}
+            title={t("header.followSystemTheme")}
+          >
+            {t("header.themeAuto")}
+          </button>
+        )}
+        <select
+          aria-label={t("header.language")}
+          className={styles.languageSelect}
+          value={locale}
+          onChange={(e) => setLocale(e.target.value)}
+        >
+          {LOCALES.map(({ code, label }) => (
+            <option key={code} value={code} lang={code}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </nav>
     </header>
   );
 }
@@ -0,0 +1,19 @@
+import { getHighlightSegments } from "../utils/fuzzySearch";
+
+/**
+ * Renders text with the parts matching a search query wrapped in <mark>.
+ *
+ * @param {Object} props
+ * @param {string} props.text - The text to display.
+ * @param {string} props.query - The search query to highlight.
+ * @returns {JSX.Element} The text with highlighted matches.
+ */
+export default function HighlightedText({ text, query }) {
+  return (
+    <>
+      {getHighlightSegments(text, query).map((segment, index) =>
+        segment.match ? <mark key={index}>{segment.text}</mark> : segment.text
+      )}
+    </>
+  );
+}
@@ -0,0 +1,197 @@
+import { useContext } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import { LOCALES } from "../i18n/translate";
+import { getConflictId } from "../utils/personalData";
+import { formatTime } from "../utils/formatTime";
+import styles from "./DataPage.module.css";
+
+/**
+ * Describes an entry of the personal data for the import preview.
+ *
+ * @param {string} sectionId - Section the entry belongs to.
+ * @param {string} key - Key of the entry within its section.
+ * @param {*} value - The entry.
+ * @param {Object} helpers
+ * @param {Function} helpers.t - Translates a catalog key.
+ * @param {Function} helpers.formatDate - Formats a date in the UI language.
+ * @param {(showId: string) => string} helpers.showTitle - Title of a show by ID.
+ * @returns {{label: string, detail: string}} What the entry is, and its value.
+ */
+function describeEntry(sectionId, key, value, { t, formatDate, showTitle }) {
+  switch (sectionId) {
+    case "favourites":
+      return {
+        label: `${value.showTitle} · ${t("player.position", {
+          season: value.season,
+          episode: value.episode,
+        })} · ${value.title}`,
+        detail: t("favourites.added", { date: formatDate(value.addedAt) }),
+      };
+    case "listeningProgress": {
+      const episode = key.slice(key.lastIndexOf("-") + 1);
+      return {
+        label: `${showTitle(value.showId)} · ${t("player.position", {
+          season: value.season,
+          episode,
+        })}`,
+        detail: value.completed
+          ? t("episode.completed")
+          : t("data.progressAt", {
+              position: formatTime(value.position),
+              duration: formatTime(value.duration),
+            }),
+      };
+    }
+    case "expandedSeasons":
+      return {
+        label: showTitle(key),
+        detail: value.length
+          ? t("data.expandedSeasons", { seasons: value.join(", ") })
+          : t("data.noExpandedSeasons"),
+      };
+    default: {
+      const labels = {
+        theme: t(`data.theme.${value}`),
+        locale: LOCALES.find((locale) => locale.code === value)?.label,
+        browseMode: t(`browseMode.${value}`),
+        pageSize: value === "auto" ? t("pagination.auto") : String(value),
+      };
+      return { label: t(`data.preference.${key}`), detail: labels[key] };
+    }
+  }
+}
+
+/**
+ * Preview of a backup import: per section, how many entries are new,
+ * conflicting, unchanged or malformed, and a "keep mine / take theirs"
+ * choice for every conflict. Conflicts keep the local version by default.
+ *
+ * @param {Object} props
+ * @param {string} props.fileName - Name of the backup file.
+ * @param {string|null} props.exportedAt - When the backup was made.
+ * @param {import("../utils/personalData").SectionPlan[]} props.plan - The planned import.
+ * @param {Array<Object>} props.podcasts - Show previews, to name shows by ID.
+ * @param {Object<string, "mine"|"theirs">} props.choices - Choice per conflict ID.
+ * @param {(id: string, choice: "mine"|"theirs") => void} props.onChoose - Picks a version for one conflict.
+ * @param {(choice: "mine"|"theirs") => void} props.onChooseAll - Picks a version for every conflict.
+ * @param {Function} props.onApply - Imports with the current choices.
+ * @param {Function} props.onCancel - Discards the import.
+ * @returns {JSX.Element} The preview.
+ */
+export default function ImportPreview({
+  fileName,
+  exportedAt,
+  plan,
+  podcasts,
+  choices,
+  onChoose,
+  onChooseAll,
+  onApply,
+  onCancel,
+}) {
+  const { t, formatDate } = useContext(LocaleContext);
+
+  const showTitle = (showId) =>
+    podcasts.find((p) => String(p.id) === String(showId))?.title ||
+    t("show.dialogLabel", { id: showId });
+  const helpers = { t, formatDate, showTitle };
+
+  const conflictCount = plan.reduce((n, s) => n + s.conflicts.length, 0);
+  const hasChanges = plan.some((s) => s.added.length || s.conflicts.length);
+
+  return (
+    <div className={styles.preview} aria-live="polite">
+      <h4>
+        {exportedAt
+          ? t("data.previewHeadingDated", {
+              file: fileName,
+              date: formatDate(exportedAt),
+            })
+          : t("data.previewHeading", { file: fileName })}
+      </h4>
+
+      <ul className={styles.summary}>
+        {plan.map((section) => (
+          <li key={section.id}>
+            <strong>{t(`data.section.${section.id}`)}:</strong>{" "}
+            {t("data.sectionSummary", {
+              added: section.added.length,
+              conflicts: section.conflicts.length,
+              unchanged: section.unchanged,
+            })}
+            {section.dropped > 0 &&
+              ` ${t("data.sectionDropped", { count: section.dropped })}`}
+          </li>
+        ))}
+      </ul>
+
+      {conflictCount > 0 && (
+        <>
+          <div className={styles.conflictToolbar}>
+            <p>{t("data.conflicts", { count: conflictCount })}</p>
+            <button
+              className={styles.secondaryButton}
+              onClick={() => onChooseAll("mine")}
+            >
+              {t("data.keepAllMine")}
+            </button>
+            <button
+              className={styles.secondaryButton}
+              onClick={() => onChooseAll("theirs")}
+            >
+              {t("data.takeAllTheirs")}
+            </button>
+          </div>
+
+          {plan.map(({ id, conflicts }) =>
+            conflicts.map(({ key, mine, theirs }) => {
+              const conflictId = getConflictId(id, key);
+              const choice = choices[conflictId] || "mine";
+              const current = describeEntry(id, key, mine, helpers);
+              return (
+                <fieldset key={conflictId} className={styles.conflict}>
+                  <legend>{current.label}</legend>
+                  <label>
+                    <input
+                      type="radio"
+                      name={conflictId}
+                      checked={choice === "mine"}
+                      onChange={() => onChoose(conflictId, "mine")}
+                    />
+                    {t("data.keepMine", { value: current.detail })}
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name={conflictId}
+                      checked={choice === "theirs"}
+                      onChange={() => onChoose(conflictId, "theirs")}
+                    />
+                    {t("data.takeTheirs", {
+                      value: describeEntry(id, key, theirs, helpers).detail,
+                    })}
+                  </label>
+                </fieldset>
+              );
+            })
+          )}
+        </>
+      )}
+
+      {!hasChanges && <p>{t("data.nothingToImport")}</p>}
+
+      <div className={styles.actions}>
+        <button
+          className={styles.button}
+          onClick={onApply}
+          disabled={!hasChanges}
+        >
+          {t("data.importButton")}
+        </button>
+        <button className={styles.secondaryButton} onClick={onCancel}>
+          {t("data.cancel")}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,47 +1,226 @@
-import React from "react";
+import React, {
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { createPortal } from "react-dom";
+import { LocaleContext } from "../context/LocaleContext";
 import "./Modal.css";
 
-const Modal = ({ isOpen, onClose, children }) => {
-  // Don't render if modal is not open
-  if (!isOpen) return null;
+/** Elements that can receive keyboard focus inside the modal. */
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "area[href]",
+  "button:not([disabled])",
+  "input:not([disabled]):not([type='hidden'])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "iframe",
+  "audio[controls]",
+  "video[controls]",
+  "[contenteditable]",
+  "[tabindex]:not([tabindex='-1'])",
+].join(",");
 
-  // Handle clicking outside the modal to close it
-  const handleOverlayClick = (e) => {
-    if (e.target === e.currentTarget) {
-      onClose();
-    }
+/** Duration of the close animation in Modal.css. */
+const CLOSE_ANIMATION_MS = 200;
+
+/**
+ * Open modals, innermost last. Only the innermost one reacts to Escape and
+ * traps focus, and the page stays scroll-locked while any of them is open.
+ * @type {Array<{current: HTMLElement|null}>}
+ */
+const openModals = [];
+
+/** Body `overflow` and `padding-right` from before the first modal opened. */
+let savedBodyStyle = null;
+
+/**
+ * Stops the page behind the modals from scrolling, reserving the scrollbar's
+ * width so the layout doesn't shift.
+ */
+function lockScroll() {
+  if (savedBodyStyle) return;
+  const { body, documentElement } = document;
+  savedBodyStyle = {
+    overflow: body.style.overflow,
+    paddingRight: body.style.paddingRight,
   };
+  const scrollbarWidth = window.innerWidth - documentElement.clientWidth;
+  if (scrollbarWidth > 0) {
+    const padding = parseFloat(window.getComputedStyle(body).paddingRight);
+    body.style.paddingRight = `${padding + scrollbarWidth}px`;
+  }
+  body.style.overflow = "hidden";
+}
+
+/** Restores page scrolling once the last modal has closed. */
+function unlockScroll() {
+  if (!savedBodyStyle) return;
+  document.body.style.overflow = savedBodyStyle.overflow;
+  document.body.style.paddingRight = savedBodyStyle.paddingRight;
+  savedBodyStyle = null;
+}
+
+/**
+ * @returns {boolean} Whether the user asked the system to minimize animations.
+ */
+function prefersReducedMotion() {
+  return (
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  );
+}
+
+/**
+ * Accessible modal dialog, rendered into `document.body` through a portal.
+ *
+ * While open it traps keyboard focus, locks page scrolling and closes on
+ * Escape or a click on the backdrop. When it closes, focus returns to the
+ * element that had it before opening (e.g. the podcast card that was
+ * clicked). Modals can be nested: the innermost one handles the keyboard.
+ * Opening and closing are animated unless the user prefers reduced motion.
+ *
+ * @component
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is shown.
+ * @param {Function} props.onClose - Called when the user dismisses the modal.
+ * @param {string} [props.labelledBy] - ID of the element holding the dialog's title.
+ * @param {string} [props.label] - Accessible name when there is no visible title.
+ * @param {React.ReactNode} props.children - The modal content.
+ * @returns {JSX.Element|null} The portal with the modal, or null when closed.
+ */
+const Modal = ({ isOpen, onClose, labelledBy, label, children }) => {
+  const contentRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+  const [closing, setClosing] = useState(false);
+  const { t } = useContext(LocaleContext);
+
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  /**
+   * Starts the close animation, or closes right away when motion is reduced.
+   */
+  const requestClose = useCallback(() => {
+    if (prefersReducedMotion()) onCloseRef.current();
+    else setClosing(true);
+  }, []);
+
+  // Finish closing once the close animation has played.
+  useEffect(() => {
+    if (!closing) return;
+    const timer = setTimeout(() => {
+      setClosing(false);
+      onCloseRef.current();
+    }, CLOSE_ANIMATION_MS);
+    return () => clearTimeout(timer);
+  }, [closing]);
+
+  // Register as the innermost modal: lock scrolling, move focus inside and
+  // restore it to the previously focused element when closing.
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const previouslyFocused = document.activeElement;
+    openModals.push(contentRef);
+    lockScroll();
+    contentRef.current?.focus();
+
+    return () => {
+      openModals.splice(openModals.indexOf(contentRef), 1);
+      if (openModals.length === 0) unlockScroll();
+      if (previouslyFocused?.isConnected) previouslyFocused.focus();
+    };
+  }, [isOpen]);
+
+  // Escape closes and Tab cycles focus, for the innermost modal only.
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleKeyDown = (e) => {
+      if (openModals[openModals.length - 1] !== contentRef) return;
+      const content = contentRef.current;
+      if (!content) return;
 
-  // Handle escape key press to close modal
-  React.useEffect(() => {
-    const handleEscapeKey = (e) => {
       if (e.key === "Escape") {
-        onClose();
+        e.stopPropagation();
+        requestClose();
+        return;
+      }
+      if (e.key !== "Tab") return;
+
+      const focusable = [...content.querySelectorAll(FOCUSABLE_SELECTOR)];
+      if (focusable.length === 0) {
+        e.preventDefault();
+        content.focus();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const active = document.activeElement;
+      if (e.shiftKey && (active === first || active === content)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && active === last) {
+        e.preventDefault();
+        first.focus();
       }
     };
 
-    if (isOpen) {
-      document.addEventListener("keydown", handleEscapeKey);
-    }
+    // Focus that escapes anyway (e.g. a click on the page) is pulled back in.
+    const handleFocusIn = (e) => {
+      if (openModals[openModals.length - 1] !== contentRef) return;
+      const content = contentRef.current;
+      if (content && !content.contains(e.target)) content.focus();
+    };
 
+    document.addEventListener("keydown", handleKeyDown);
+    document.addEventListener("focusin", handleFocusIn);
     return () => {
-      document.removeEventListener("keydown", handleEscapeKey);
+      document.removeEventListener("keydown", handleKeyDown);
+      document.removeEventListener("focusin", handleFocusIn);
     };
-  }, [isOpen, onClose]);
+  }, [isOpen, requestClose]);
 
-  return (
-    <div className="modal-overlay" onClick={handleOverlayClick}>
-      <div className="modal-content">
+  // Don't render if modal is not open
+  if (!isOpen) return null;
+
+  // Handle clicking outside the modal to close it
+  const handleOverlayClick = (e) => {
+    if (e.target === e.currentTarget) {
+      requestClose();
+    }
+  };
+
+  return createPortal(
+    <div
+      className={`modal-overlay ${closing ? "is-closing" : ""}`}
+      onClick={handleOverlayClick}
+    >
+      <div
+        ref={contentRef}
+        className="modal-content"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby={labelledBy}
+        aria-label={labelledBy ? undefined : label}
+        tabIndex={-1}
+      >
         <button
           className="modal-close-button"
-          onClick={onClose}
-          aria-label="Close modal"
+          onClick={requestClose}
+          aria-label={t("modal.close")}
         >
           &times;
         </button>
         {children}
       </div>
-    </div>
+    </div>,
+    document.body
   );
 };
 
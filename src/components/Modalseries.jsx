@@ -1,14 +1,63 @@
-import React, { useState, useEffect } from "react";
+import React, { useContext, useEffect, useMemo, useRef, useState } from "react";
 import "./Series.css";
 import SeasonScroller from "./SeasonScroller.jsx";
+import EpisodeItem from "./EpisodeItem.jsx";
+import Artwork from "./Artwork.jsx";
+import { ListeningProgressContext } from "../context/ListeningProgressContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { getEpisodeKey } from "../utils/episodeKey";
+import { useShow } from "../hooks/usePodcastApi";
+import { fuzzySearch } from "../utils/fuzzySearch";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
+import { getEpisodeAnchor } from "../utils/showPath";
+
+/**
+ * localStorage key of the expanded seasons, stored as a map of show ID to
+ * expanded season numbers.
+ */
+const EXPANDED_STORAGE_KEY = STORAGE_KEYS.expandedSeasons;
+
+/**
+ * Number of a season, falling back to its position like SeasonScroller does.
+ *
+ * @param {Object} season - The season object.
+ * @param {Object[]} seasons - All seasons of the show.
+ * @returns {number} The season number.
+ */
+function getSeasonNumber(season, seasons) {
+  return Number(season.season || seasons.indexOf(season) + 1);
+}
+
+/**
+ * Episode fields searched by the episode search box, with their weights.
+ * @type {import("../utils/fuzzySearch").SearchField[]}
+ */
+const EPISODE_SEARCH_FIELDS = [
+  { get: (episode) => episode.title, weight: 2 },
+  { get: (episode) => episode.description, weight: 1 },
+];
 
 /**
  * Modalseries component that fetches and displays detailed series information
- * including seasons and episodes for a specific podcast series.
+ * including seasons and episodes for a specific podcast series. A search box
+ * filters the episodes of all seasons by title and description, with match
+ * counts per season and the option to hide seasons without matches.
+ *
+ * Seasons are collapsible; only the first one is expanded by default, and
+ * the expanded seasons are remembered per show. Collapsed seasons don't
+ * render their episodes at all, keeping long-running shows fast to open.
+ * While searching, seasons with matches are expanded automatically.
+ *
+ * A linked season or episode (from a deep link) is expanded and scrolled
+ * into view once the series has loaded, and the linked episode is
+ * highlighted.
  *
  * @component
  * @param {Object} props - The component props
  * @param {string|number} props.seriesId - The unique identifier for the podcast series
+ * @param {number} [props.genre] - Genre ID of the series, colouring season images that fail to load
+ * @param {number} [props.linkedSeason] - Season number to reveal
+ * @param {number} [props.linkedEpisode] - Episode number within `linkedSeason` to reveal
  * @returns {JSX.Element|null} The rendered series details component or null if no data
  *
  * @example
@@ -21,79 +70,110 @@ import SeasonScroller from "./SeasonScroller.jsx";
  *   <Modalseries seriesId={podcast.id} />
  * </Modal>
  */
-const Modalseries = ({ seriesId }) => {
+const Modalseries = ({ seriesId, genre, linkedSeason, linkedEpisode }) => {
   /**
-   * State to store the fetched series data including seasons and episodes
-   * @type {[Object|null, Function]}
+   * Series data including seasons and episodes, loaded through the shared
+   * API client so reopening a show is served from its cache and closing the
+   * modal mid-request cancels it. Shows prefetched from their card render
+   * straight away, without a loading message.
    */
-  const [seriesData, setSeriesData] = useState(null);
+  const { data: seriesData, loading, error, retry } = useShow(seriesId);
 
-  /**
-   * State to track if data is currently being fetched
-   * @type {[boolean, Function]}
-   */
-  const [loading, setLoading] = useState(false);
+  const { getProgress, countCompleted, resetSeason } = useContext(
+    ListeningProgressContext
+  );
+  const { t } = useContext(LocaleContext);
+
+  /** Episode search query, and whether seasons without matches are hidden. */
+  const [episodeQuery, setEpisodeQuery] = useState("");
+  const [hideEmptySeasons, setHideEmptySeasons] = useState(false);
 
   /**
-   * State to store any error messages that occur during data fetching
-   * @type {[string|null, Function]}
+   * Expanded season numbers, or null until the user changes them (then the
+   * first season is expanded).
+   * @type {[number[]|null, Function]}
    */
-  const [error, setError] = useState(null);
+  const [expandedSeasons, setExpandedSeasons] = useState(
+    () => readStorage(EXPANDED_STORAGE_KEY, {})[seriesId] || null
+  );
 
   /**
-   * Fetches series data with episodes from the podcast API based on the provided series ID.
-   * Makes an HTTP request to the podcast API and updates component state accordingly.
-   *
-   * @async
-   * @function fetchSeriesData
-   * @param {string|number} id - The series ID to fetch data for
-   * @returns {Promise<void>} A promise that resolves when the fetch operation completes
-   *
-   * @throws {Error} Throws an error if the HTTP request fails or returns non-ok status
-   *
-   * @example
-   * // Fetch data for series with ID "12345"
-   * await fetchSeriesData("12345");
+   * Seasons toggled during the current search, flipping their automatic
+   * "expanded if it has matches" state. Cleared whenever the query changes.
+   * @type {[number[], Function]}
    */
-  const fetchSeriesData = async (id) => {
-    // Exit early if no ID is provided
-    if (!id) return;
+  const [searchToggles, setSearchToggles] = useState([]);
 
-    setLoading(true);
-    setError(null);
+  /** Element ID of the linked season or episode last scrolled to. */
+  const scrolledTo = useRef(null);
 
-    try {
-      // Fetch data from the specific API endpoint for this series
-      const response = await fetch(`https://podcast-api.netlify.app/id/${id}`);
+  // Expand the linked season, on top of the ones the user expanded.
+  useEffect(() => {
+    const seasons = seriesData?.seasons;
+    if (!seasons?.length || !linkedSeason) return;
+    if (!seasons.some((s) => getSeasonNumber(s, seasons) === linkedSeason)) {
+      return;
+    }
+    setExpandedSeasons((prev) => {
+      const current = prev ?? [getSeasonNumber(seasons[0], seasons)];
+      return current.includes(linkedSeason) ? prev : [...current, linkedSeason];
+    });
+  }, [seriesData, linkedSeason]);
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+  // Scroll to the linked season or episode once it has rendered.
+  useEffect(() => {
+    if (!linkedSeason) return;
+    const target = linkedEpisode
+      ? getEpisodeAnchor(linkedSeason, linkedEpisode)
+      : `season-${linkedSeason}`;
+    if (scrolledTo.current === target) return;
+    const element = document.getElementById(target);
+    if (!element) return;
+    scrolledTo.current = target;
+    element.scrollIntoView({ behavior: "smooth", block: "center" });
+  });
 
-      const data = await response.json();
-      console.log(`Fetched data for series ${id}:`, data); // Debug log
-      setSeriesData(data);
-    } catch (err) {
-      setError(`Failed to load data for series ${id}: ${err.message}`);
-      console.error("Error fetching series data:", err);
-    } finally {
-      setLoading(false);
-    }
-  };
+  /**
+   * Matching episodes of every season (in their original order), and the
+   * seasons listed. Memoised so re-renders hand SeasonScroller the same
+   * seasons, as it starts over whenever they change.
+   * @type {{matchesBySeason: Map<Object, Object[]>, visibleSeasons: Object[]}}
+   */
+  const { matchesBySeason, visibleSeasons } = useMemo(() => {
+    const seasons = seriesData?.seasons || [];
+    const searching = episodeQuery.trim() !== "";
+    const matches = new Map(
+      seasons.map((season) => {
+        const episodes = season.episodes || [];
+        if (!searching) return [season, episodes];
+        const matched = new Set(
+          fuzzySearch(episodes, episodeQuery, EPISODE_SEARCH_FIELDS).map(
+            (result) => result.item
+          )
+        );
+        return [season, episodes.filter((episode) => matched.has(episode))];
+      })
+    );
+    return {
+      matchesBySeason: matches,
+      visibleSeasons:
+        searching && hideEmptySeasons
+          ? seasons.filter((season) => matches.get(season).length > 0)
+          : seasons,
+    };
+  }, [seriesData, episodeQuery, hideEmptySeasons]);
 
   /**
-   * Effect hook that triggers data fetching when the seriesId prop changes.
-   * Automatically fetches series data whenever a new seriesId is provided.
-   *
-   * @effect
-   * @dependency {string|number} seriesId - The series ID that triggers the effect
+   * Stores the expanded seasons of this show.
+   * @param {number[]} next - Expanded season numbers.
    */
-  useEffect(() => {
-    if (seriesId) {
-      console.log(`Fetching data for series ID: ${seriesId}`); // Debug log
-      fetchSeriesData(seriesId);
-    }
-  }, [seriesId]);
+  const saveExpanded = (next) => {
+    setExpandedSeasons(next);
+    writeStorage(EXPANDED_STORAGE_KEY, {
+      ...readStorage(EXPANDED_STORAGE_KEY, {}),
+      [seriesId]: next,
+    });
+  };
 
   /**
    * Renders loading state with spinner and series ID
@@ -102,7 +182,7 @@ const Modalseries = ({ seriesId }) => {
   if (loading) {
     return (
       <div className="loading-container">
-        <p>Loading episodes for series {seriesId}...</p>
+        <p>{t("series.loading", { id: seriesId })}</p>
         <div className="spinner">⏳</div>
       </div>
     );
@@ -115,10 +195,10 @@ const Modalseries = ({ seriesId }) => {
   if (error) {
     return (
       <div className="error-container">
-        <p>Error: {error}</p>
-        <button onClick={() => fetchSeriesData(seriesId)}>
-          Retry Loading Series {seriesId}
-        </button>
+        <p>
+          {t("series.loadFailed", { id: seriesId, message: error.message })}
+        </p>
+        <button onClick={retry}>{t("series.retry", { id: seriesId })}</button>
       </div>
     );
   }
@@ -128,81 +208,232 @@ const Modalseries = ({ seriesId }) => {
    * @returns {JSX.Element} Complete series details with seasons and episodes
    */
   if (seriesData) {
+    const seasons = seriesData.seasons || [];
+    const searching = episodeQuery.trim() !== "";
+    const totalMatches = [...matchesBySeason.values()].reduce(
+      (sum, episodes) => sum + episodes.length,
+      0
+    );
+    const seasonsWithMatches = seasons.filter(
+      (season) => matchesBySeason.get(season).length > 0
+    ).length;
+
+    const expanded =
+      expandedSeasons ??
+      (seasons.length ? [getSeasonNumber(seasons[0], seasons)] : []);
+
+    /**
+     * @param {Object} season - The season object.
+     * @returns {boolean} Whether the season's episodes are shown.
+     */
+    const isExpanded = (season) => {
+      const number = getSeasonNumber(season, seasons);
+      if (!searching) return expanded.includes(number);
+      const hasMatches = matchesBySeason.get(season).length > 0;
+      return hasMatches !== searchToggles.includes(number);
+    };
+
+    /**
+     * Expands or collapses a season from its header.
+     * @param {Object} season - The season object.
+     */
+    const toggleSeason = (season) => {
+      const number = getSeasonNumber(season, seasons);
+      if (searching) {
+        setSearchToggles((prev) =>
+          prev.includes(number)
+            ? prev.filter((n) => n !== number)
+            : [...prev, number]
+        );
+        return;
+      }
+      saveExpanded(
+        expanded.includes(number)
+          ? expanded.filter((n) => n !== number)
+          : [...expanded, number]
+      );
+    };
+
+    /**
+     * Expands the season picked in SeasonScroller so it can be revealed.
+     * @param {string|number} seasonNumber - The selected season number.
+     */
+    const revealSeason = (seasonNumber) => {
+      const number = Number(seasonNumber);
+      const season = seasons.find(
+        (s) => getSeasonNumber(s, seasons) === number
+      );
+      if (season && !isExpanded(season)) toggleSeason(season);
+    };
+
     return (
       <div className="series-details">
-        {seriesData.seasons && seriesData.seasons.length > 0 ? (
+        {seasons.length > 0 ? (
           <div className="seasons-container">
-            <h3>Current season</h3>
-            <SeasonScroller seasons={seriesData.seasons} />
+            {/* Episode search across all seasons */}
+            <div className="episode-search">
+              <input
+                type="search"
+                className="episode-search-input"
+                placeholder={t("series.searchPlaceholder")}
+                aria-label={t("series.searchLabel")}
+                value={episodeQuery}
+                onChange={(e) => {
+                  setEpisodeQuery(e.target.value);
+                  setSearchToggles([]);
+                }}
+              />
+              <label className="episode-search-option">
+                <input
+                  type="checkbox"
+                  checked={hideEmptySeasons}
+                  onChange={(e) => setHideEmptySeasons(e.target.checked)}
+                />
+                {t("series.hideEmptySeasons")}
+              </label>
+              {searching && (
+                <p className="episode-search-summary" aria-live="polite">
+                  {totalMatches === 0
+                    ? t("series.noMatches", { query: episodeQuery.trim() })
+                    : t("series.matchSummary", {
+                        episodes: t("series.episodeCount", {
+                          count: totalMatches,
+                        }),
+                        seasons: t("series.seasonCount", {
+                          count: seasonsWithMatches,
+                        }),
+                        query: episodeQuery.trim(),
+                      })}
+                </p>
+              )}
+            </div>
+
+            <h3>{t("series.currentSeason")}</h3>
+            <SeasonScroller
+              seasons={visibleSeasons}
+              onSeasonSelect={revealSeason}
+            />
             <div className="seasons-list"></div>
-            {seriesData.seasons.map((season, seasonIndex) => (
-              <div
-                key={`season-${seriesId}-${season.season || seasonIndex}`}
-                className="season-section"
-              >
-                <div className="season-header">
-                  <img
-                    src={season.image}
-                    alt={`Season ${season.season}`}
-                    className="season-image"
-                  />
-                  <div className="season-info">
-                    <h4>Season {season.season}</h4>
-                    <p>{season.title}</p>
-                    <p>
-                      <strong>Episodes:</strong> {season.episodes?.length || 0}
-                    </p>
-                  </div>
-                </div>
+            {visibleSeasons.map((season) => {
+              const seasonNumber = getSeasonNumber(season, seasons);
+              const open = isExpanded(season);
+              const panelId = `season-${seasonNumber}-episodes`;
+              const matchingEpisodes = matchesBySeason.get(season);
+              const episodeKeys = (season.episodes || []).map((episode) =>
+                getEpisodeKey(seriesId, season.season, episode.episode)
+              );
+              const completedCount = countCompleted(episodeKeys);
+              const hasProgress = episodeKeys.some((key) => getProgress(key));
 
-                {season.episodes && season.episodes.length > 0 ? (
-                  <div className="episodes-list">
-                    <h5>Episodes in Season {season.season}</h5>
-
-                    {/* Map through all episodes in the season */}
-                    {season.episodes.map((episode, episodeIndex) => (
-                      <div
-                        key={`episode-${seriesId}-${season.season}-${
-                          episode.episode || episodeIndex
-                        }`}
-                        className="episode-item"
+              return (
+                <div
+                  key={`season-${seriesId}-${seasonNumber}`}
+                  id={`season-${seasonNumber}`}
+                  className={`season-section ${open ? "is-expanded" : ""}`}
+                >
+                  <div className="season-header">
+                    <Artwork
+                      src={season.image}
+                      alt={t("series.season", { number: season.season })}
+                      title={t("series.season", { number: season.season })}
+                      genre={genre}
+                      className="season-image"
+                    />
+                    <div className="season-info">
+                      <h4>
+                        <button
+                          type="button"
+                          className="season-toggle"
+                          onClick={() => toggleSeason(season)}
+                          aria-expanded={open}
+                          // Collapsed seasons have no panel to point at.
+                          aria-controls={open ? panelId : undefined}
+                        >
+                          <span
+                            className="season-toggle-icon"
+                            aria-hidden="true"
+                          >
+                            {open ? "▾" : "▸"}
+                          </span>
+                          {t("series.season", { number: season.season })}
+                        </button>
+                      </h4>
+                      <p>{season.title}</p>
+                      <p>
+                        {t("series.episodeCount", {
+                          count: season.episodes?.length || 0,
+                        })}
+                      </p>
+                      <p className="season-completed">
+                        <strong>{t("series.completed")}</strong>{" "}
+                        {completedCount}/{episodeKeys.length}
+                      </p>
+                      {searching && (
+                        <p className="season-matches">
+                          <strong>{t("series.matches")}</strong>{" "}
+                          {matchingEpisodes.length}
+                        </p>
+                      )}
+                    </div>
+                    {hasProgress && (
+                      <button
+                        className="season-progress-reset"
+                        onClick={() => resetSeason(seriesId, season.season)}
+                        title={t("series.resetSeasonTitle", {
+                          number: season.season,
+                        })}
                       >
-                        <div className="episode-number">
-                          Ep. {episode.episode}
-                        </div>
-                        <div className="episode-content">
-                          <h6 className="episode-title">{episode.title}</h6>
-                          <p className="episode-description">
-                            {episode.description}
-                          </p>
-                          <div className="episode-meta">
-                            {/* Audio availability indicator */}
-                            {episode.file && (
-                              <span className="episode-file">
-                                🎵 Audio Available
-                              </span>
-                            )}
-                            <span className="episode-id">
-                              Episode: {episode.episode}
-                            </span>
-                          </div>
-                        </div>
+                        {t("series.resetSeason")}
+                      </button>
+                    )}
+                  </div>
+
+                  {/* Collapsed seasons don't render their episodes at all */}
+                  {open &&
+                    (matchingEpisodes.length > 0 ? (
+                      <div className="episodes-list" id={panelId}>
+                        <h5>
+                          {t("series.episodesIn", { number: season.season })}
+                        </h5>
+
+                        {/* Map through the (matching) episodes in the season */}
+                        {matchingEpisodes.map((episode, episodeIndex) => (
+                          <EpisodeItem
+                            key={`episode-${seriesId}-${seasonNumber}-${
+                              episode.episode || episodeIndex
+                            }`}
+                            showId={seriesId}
+                            showTitle={seriesData.title}
+                            season={season}
+                            episode={episode}
+                            query={episodeQuery}
+                            highlighted={
+                              seasonNumber === linkedSeason &&
+                              episode.episode === linkedEpisode
+                            }
+                          />
+                        ))}
+                      </div>
+                    ) : (
+                      /* No episodes message */
+                      <div className="no-episodes" id={panelId}>
+                        <p>
+                          {searching && season.episodes?.length
+                            ? t("series.noSeasonMatches", {
+                                number: season.season,
+                              })
+                            : t("series.noEpisodes", { number: season.season })}
+                        </p>
                       </div>
                     ))}
-                  </div>
-                ) : (
-                  /* No episodes message */
-                  <div className="no-episodes">
-                    <p>No episodes available for Season {season.season}</p>
-                  </div>
-                )}
-              </div>
-            ))}
+                </div>
+              );
+            })}
           </div>
         ) : (
           /* No seasons message */
           <div className="no-seasons">
-            <p>No seasons available for this series.</p>
+            <p>{t("series.noSeasons")}</p>
           </div>
         )}
       </div>
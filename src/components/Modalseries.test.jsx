@@ -0,0 +1,167 @@
+import { screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+import Modalseries from "./Modalseries";
+import { jsonResponse, mockApi } from "../test/mockApi";
+import { renderWithProviders } from "../test/renderWithProviders";
+
+describe("Modalseries", () => {
+  it("shows a loading message until the show has loaded", async () => {
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    expect(
+      screen.getByText("Loading episodes for series 10716...")
+    ).toBeInTheDocument();
+    expect(
+      await screen.findByRole("button", { name: /Season 1/ })
+    ).toBeInTheDocument();
+    expect(screen.queryByText(/Loading episodes/)).not.toBeInTheDocument();
+  });
+
+  it("expands only the first season, and toggles seasons on click", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    expect(await screen.findByText("The Beginning")).toBeInTheDocument();
+    expect(screen.getByText("Red Flags")).toBeInTheDocument();
+    expect(screen.queryByText("A New Story")).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Season 2/ }));
+    expect(screen.getByText("A New Story")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: /Season 1/ }));
+    expect(screen.queryByText("The Beginning")).not.toBeInTheDocument();
+  });
+
+  it("points expanded season headers at their episodes", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    const first = await screen.findByRole("button", { name: /Season 1/ });
+    const panel = document.getElementById(first.getAttribute("aria-controls"));
+    expect(panel).toHaveTextContent("The Beginning");
+
+    const second = screen.getByRole("button", { name: /Season 2/ });
+    expect(second).not.toHaveAttribute("aria-controls");
+    await user.click(second);
+    expect(
+      document.getElementById(second.getAttribute("aria-controls"))
+    ).toHaveTextContent("A New Story");
+  });
+
+  it("filters episodes across seasons", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    await user.type(
+      await screen.findByRole("searchbox", { name: "Search episodes" }),
+      "survivor"
+    );
+    expect(
+      screen.getByText('1 episode in 1 season match "survivor".')
+    ).toBeInTheDocument();
+    expect(screen.getByText("A New Story")).toBeInTheDocument();
+    expect(screen.queryByText("The Beginning")).not.toBeInTheDocument();
+  });
+
+  it("keeps the picked season while re-rendering a filtered search", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    await user.type(
+      await screen.findByRole("searchbox", { name: "Search episodes" }),
+      "survivor"
+    );
+    await user.click(
+      screen.getByRole("checkbox", { name: "Hide seasons without matches" })
+    );
+    const select = screen.getByRole("combobox", { name: "Jump to Season:" });
+    await user.selectOptions(select, "2");
+
+    // Collapsing the season re-renders the list with the filter still on.
+    await user.click(screen.getByRole("button", { name: /Season 2/ }));
+    expect(screen.queryByText("A New Story")).not.toBeInTheDocument();
+    expect(select).toHaveValue("2");
+  });
+
+  it("shows an error with a working retry button when loading fails", async () => {
+    const user = userEvent.setup();
+    const api = mockApi();
+    api.respondWith("/id/10716", () => jsonResponse({}, 404));
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    // The retried response leaves out fields, which are filled in with a warning.
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    expect(
+      await screen.findByText(/Failed to load data for series 10716/)
+    ).toHaveTextContent("HTTP error! status: 404");
+
+    api.respondWith("/id/10716", () =>
+      jsonResponse({
+        id: "10716",
+        title: "Something Was Wrong",
+        seasons: [{ season: 1, title: "Season 1", episodes: [] }],
+      })
+    );
+    await user.click(
+      screen.getByRole("button", { name: "Retry Loading Series 10716" })
+    );
+
+    expect(
+      await screen.findByText("No episodes available for Season 1")
+    ).toBeInTheDocument();
+  });
+
+  it("says so when a show has no seasons", async () => {
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10276" />);
+
+    expect(
+      await screen.findByText("No seasons available for this series.")
+    ).toBeInTheDocument();
+  });
+
+  it("expands, scrolls to and highlights a linked episode", async () => {
+    mockApi();
+    renderWithProviders(
+      <Modalseries seriesId="10716" linkedSeason={2} linkedEpisode={1} />
+    );
+
+    const row = (await screen.findByText("A New Story")).closest(
+      ".episode-item"
+    );
+    expect(row).toHaveClass("is-linked");
+    expect(row).toHaveAttribute("id", "season-2-episode-1");
+    // The first season stays expanded as well.
+    expect(screen.getByText("The Beginning")).toBeInTheDocument();
+    await waitFor(() =>
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalled()
+    );
+    expect(vi.mocked(Element.prototype.scrollIntoView).mock.contexts).toContain(
+      row
+    );
+  });
+
+  it("copies a link to an episode", async () => {
+    const user = userEvent.setup();
+    mockApi();
+    renderWithProviders(<Modalseries seriesId="10716" />);
+
+    await screen.findByText("Red Flags");
+    const buttons = screen.getAllByRole("button", { name: "🔗 Copy link" });
+    await user.click(buttons[1]);
+
+    expect(await navigator.clipboard.readText()).toBe(
+      `${window.location.origin}/show/10716/season/1/episode/2`
+    );
+    expect(
+      screen.getByRole("button", { name: "✓ Link copied" })
+    ).toBeInTheDocument();
+  });
+});
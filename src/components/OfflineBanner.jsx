@@ -0,0 +1,23 @@
+import { useContext } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import { useOfflineStatus } from "../hooks/usePodcastApi";
+import styles from "./OfflineBanner.module.css";
+
+/**
+ * Banner shown while any data on screen comes from the offline copy instead
+ * of the network. It disappears once the data has been refreshed.
+ *
+ * @returns {JSX.Element|null} The banner, or null when everything is fresh.
+ */
+export default function OfflineBanner() {
+  const staleSince = useOfflineStatus();
+  const { t, formatDate } = useContext(LocaleContext);
+
+  if (!staleSince) return null;
+
+  return (
+    <div className={styles.banner} role="status">
+      {t("offline.banner", { date: formatDate(staleSince) })}
+    </div>
+  );
+}
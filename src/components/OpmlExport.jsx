@@ -0,0 +1,130 @@
+import { useContext, useState } from "react";
+import { useHref } from "react-router-dom";
+import { FavouritesContext } from "../context/FavouritesContext";
+import { ListeningProgressContext } from "../context/ListeningProgressContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { fuzzySearch } from "../utils/fuzzySearch";
+import { buildOpml } from "../utils/opml";
+import { downloadFile } from "../utils/download";
+import styles from "./DataPage.module.css";
+
+/** Searched show fields when filtering the list. */
+const SHOW_SEARCH_FIELDS = [{ get: (show) => show.title, weight: 1 }];
+
+/**
+ * Lets the user pick shows from the catalogue and download them as an OPML
+ * bookmark list of links to their pages in this app (not a subscription
+ * list, see {@link buildOpml}). Shows with favourites or listening progress
+ * are selected to begin with.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - Show previews of the whole catalogue.
+ * @param {boolean} props.loading - Whether the catalogue is still loading.
+ * @returns {JSX.Element} The bookmark export section.
+ */
+export default function OpmlExport({ podcasts, loading }) {
+  const { t } = useContext(LocaleContext);
+  const { favourites } = useContext(FavouritesContext);
+  const { progress } = useContext(ListeningProgressContext);
+  const appHref = useHref("/");
+  const [query, setQuery] = useState("");
+
+  /** @type {[Set<string>, Function]} IDs of the selected shows. */
+  const [selected, setSelected] = useState(
+    () =>
+      new Set([
+        ...favourites.map((fav) => fav.showId),
+        ...Object.values(progress).map((entry) => entry.showId),
+      ])
+  );
+
+  const visible = fuzzySearch(podcasts, query, SHOW_SEARCH_FIELDS).map(
+    (result) => result.item
+  );
+  const selectedShows = podcasts.filter((p) => selected.has(String(p.id)));
+
+  /**
+   * @param {string} id - Show ID.
+   */
+  const toggle = (id) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const selectVisible = () =>
+    setSelected(
+      (prev) => new Set([...prev, ...visible.map((p) => String(p.id))])
+    );
+
+  const handleDownload = () => {
+    const appUrl = new URL(appHref, window.location.origin).href.replace(
+      /\/$/,
+      ""
+    );
+    downloadFile(
+      "podcast-bookmarks.opml",
+      buildOpml(selectedShows, { title: t("data.opmlTitle"), appUrl }),
+      "text/x-opml"
+    );
+  };
+
+  return (
+    <section className={styles.section}>
+      <h3>{t("data.opmlHeading")}</h3>
+      <p>{t("data.opmlDescription")}</p>
+
+      {loading ? (
+        <p>{t("results.loading")}</p>
+      ) : (
+        <>
+          <div className={styles.opmlToolbar}>
+            <input
+              type="search"
+              className={styles.search}
+              placeholder={t("search.placeholder")}
+              aria-label={t("data.opmlFilter")}
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+            <button className={styles.secondaryButton} onClick={selectVisible}>
+              {t("data.selectAll")}
+            </button>
+            <button
+              className={styles.secondaryButton}
+              onClick={() => setSelected(new Set())}
+            >
+              {t("data.selectNone")}
+            </button>
+          </div>
+
+          <ul className={styles.showList}>
+            {visible.map((show) => (
+              <li key={show.id}>
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={selected.has(String(show.id))}
+                    onChange={() => toggle(String(show.id))}
+                  />
+                  {show.title}
+                </label>
+              </li>
+            ))}
+          </ul>
+
+          <button
+            className={styles.button}
+            onClick={handleDownload}
+            disabled={selectedShows.length === 0}
+          >
+            {t("data.opmlButton", { count: selectedShows.length })}
+          </button>
+        </>
+      )}
+    </section>
+  );
+}
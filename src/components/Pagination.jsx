@@ -1,31 +1,201 @@
-import { useContext } from "react";
+import { useContext, useId, useRef, useState } from "react";
 import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { PAGE_SIZE_OPTIONS } from "../utils/browseModes";
+import { useShortcuts } from "../hooks/useShortcuts";
 import styles from "./Pagination.module.css";
 
+/** Page numbers shown on each side of the current page. */
+const SIBLINGS = 1;
+
 /**
- * Numeric pagination bar.
+ * Builds the list of page buttons: the first and last page, a window around
+ * the current page, and "…" wherever pages are left out.
+ *
+ * @param {number} page - The current page.
+ * @param {number} totalPages - Number of pages.
+ * @returns {Array<number|"…">} Page numbers and gaps in display order.
+ */
+function getPageWindow(page, totalPages) {
+  // Window around the current page, shifted away from the edges so the
+  // number of buttons stays the same while paging through.
+  const size = SIBLINGS * 2 + 1;
+  let start = Math.max(2, page - SIBLINGS);
+  let end = Math.min(totalPages - 1, page + SIBLINGS);
+  if (page - SIBLINGS <= 2) end = Math.min(totalPages - 1, 1 + size);
+  if (page + SIBLINGS >= totalPages - 1) start = Math.max(2, totalPages - size);
+
+  const items = [1];
+  // A gap of a single page shows that page instead of "…".
+  if (start === 3) items.push(2);
+  else if (start > 3) items.push("…");
+  for (let p = start; p <= end; p++) items.push(p);
+  if (end === totalPages - 2) items.push(totalPages - 1);
+  else if (end < totalPages - 2) items.push("…");
+  if (totalPages > 1) items.push(totalPages);
+  return items;
+}
+
+/**
+ * Pagination bar: a "showing 21–40 of 187" summary, first/previous/next/last
+ * buttons around a window of page numbers, a jump-to-page field and a page
+ * size choice. `[` and `]` go to the previous and next page. Hidden in
+ * continuous browse mode, where more shows load while scrolling.
  */
 export default function Pagination() {
-  const { page, setPage, totalPages } = useContext(PodcastContext);
+  const {
+    page,
+    setPage,
+    totalPages,
+    pageSize,
+    pageSizeChoice,
+    setPageSizeChoice,
+    allPodcastsCount,
+    browseMode,
+  } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
+  const [jumpTo, setJumpTo] = useState("");
+  const jumpId = useId();
+  const navRef = useRef(null);
+
+  useShortcuts(
+    [
+      {
+        keys: ["["],
+        description: t("shortcuts.previousPage"),
+        run: () => (page > 1 ? setPage(page - 1) : false),
+      },
+      {
+        keys: ["]"],
+        description: t("shortcuts.nextPage"),
+        run: () => (page < totalPages ? setPage(page + 1) : false),
+      },
+    ],
+    navRef
+  );
+
+  if (browseMode === "continuous" || allPodcastsCount === 0) return null;
 
-  if (totalPages <= 1) return null;
+  const first = (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, allPodcastsCount);
 
   /**
-   * Build page list.
+   * Goes to the page typed into the jump field, clamped to the valid range.
+   * @param {React.FormEvent} e
    */
-  const pages = Array.from({ length: totalPages }, (_, i) => i + 1);
+  const handleJump = (e) => {
+    e.preventDefault();
+    const target = parseInt(jumpTo, 10);
+    if (Number.isNaN(target)) return;
+    setPage(Math.min(Math.max(target, 1), totalPages));
+    setJumpTo("");
+  };
 
   return (
-    <div className={styles.paginationWrapper}>
-      {pages.map((p) => (
-        <button
-          key={p}
-          className={`${styles.pageButton} ${p === page ? styles.active : ""}`}
-          onClick={() => setPage(p)}
-        >
-          {p}
-        </button>
-      ))}
-    </div>
+    <nav
+      ref={navRef}
+      className={styles.paginationWrapper}
+      aria-label={t("pagination.label")}
+    >
+      <p className={styles.summary} aria-live="polite">
+        {t("pagination.summary", { first, last, total: allPodcastsCount })}
+      </p>
+
+      {totalPages > 1 && (
+        <div className={styles.pages}>
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage(1)}
+            disabled={page === 1}
+            aria-label={t("pagination.first")}
+          >
+            «
+          </button>
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage(page - 1)}
+            disabled={page === 1}
+            aria-label={t("pagination.previous")}
+          >
+            ‹
+          </button>
+
+          {getPageWindow(page, totalPages).map((p, i) =>
+            p === "…" ? (
+              <span key={`gap-${i}`} className={styles.gap} aria-hidden="true">
+                …
+              </span>
+            ) : (
+              <button
+                key={p}
+                className={`${styles.pageButton} ${
+                  p === page ? styles.active : ""
+                }`}
+                onClick={() => setPage(p)}
+                aria-current={p === page ? "page" : undefined}
+              >
+                {p}
+              </button>
+            )
+          )}
+
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage(page + 1)}
+            disabled={page === totalPages}
+            aria-label={t("pagination.next")}
+          >
+            ›
+          </button>
+          <button
+            className={styles.pageButton}
+            onClick={() => setPage(totalPages)}
+            disabled={page === totalPages}
+            aria-label={t("pagination.last")}
+          >
+            »
+          </button>
+        </div>
+      )}
+
+      <div className={styles.options}>
+        {totalPages > 1 && (
+          <form className={styles.jump} onSubmit={handleJump}>
+            <label htmlFor={jumpId}>{t("pagination.jump")}</label>
+            <input
+              id={jumpId}
+              type="number"
+              min={1}
+              max={totalPages}
+              value={jumpTo}
+              onChange={(e) => setJumpTo(e.target.value)}
+              placeholder={String(page)}
+            />
+            <button type="submit" className={styles.pageButton}>
+              {t("pagination.go")}
+            </button>
+          </form>
+        )}
+
+        <label className={styles.pageSize}>
+          {t("pagination.perPage")}
+          <select
+            value={pageSizeChoice}
+            onChange={(e) =>
+              setPageSizeChoice(
+                e.target.value === "auto" ? "auto" : Number(e.target.value)
+              )
+            }
+          >
+            <option value="auto">{t("pagination.auto")}</option>
+            {PAGE_SIZE_OPTIONS.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </nav>
   );
 }
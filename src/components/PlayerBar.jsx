@@ -0,0 +1,148 @@
+import { useContext } from "react";
+import {
+  AudioPlayerContext,
+  PLAYBACK_RATES,
+  SKIP_SECONDS,
+} from "../context/AudioPlayerContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { formatTime } from "../utils/formatTime";
+import Artwork from "./Artwork";
+import styles from "./PlayerBar.module.css";
+
+/**
+ * PlayerBar Component
+ *
+ * App-level bar fixed to the bottom of the screen that controls the episode
+ * currently loaded in the audio player: play/pause, seeking, skipping
+ * back/forward, playback speed and volume. It shows the season artwork, show
+ * title and episode title of what's playing, and renders nothing until an
+ * episode has been started.
+ *
+ * @component
+ * @returns {JSX.Element|null} The player bar, or null when nothing is loaded.
+ */
+export default function PlayerBar() {
+  const {
+    track,
+    isPlaying,
+    currentTime,
+    duration,
+    playbackRate,
+    setPlaybackRate,
+    volume,
+    setVolume,
+    togglePlay,
+    seek,
+    skip,
+    stop,
+  } = useContext(AudioPlayerContext);
+  const { t } = useContext(LocaleContext);
+
+  if (!track) return null;
+
+  return (
+    <>
+      {/* Reserves room so the bar never covers the end of the page */}
+      <div className={styles.spacer} />
+
+      <div
+        className={styles.playerBar}
+        role="region"
+        aria-label={t("player.label")}
+      >
+        <div className={styles.nowPlaying}>
+          <Artwork
+            className={styles.artwork}
+            src={track.image}
+            alt=""
+            title={track.showTitle}
+            lazy={false}
+          />
+          <div className={styles.titles}>
+            <p className={styles.episodeTitle}>{track.episodeTitle}</p>
+            <p className={styles.showTitle}>
+              {track.showTitle} ·{" "}
+              {t("player.position", {
+                season: track.season,
+                episode: track.episode,
+              })}
+            </p>
+          </div>
+        </div>
+
+        <div className={styles.controls}>
+          <div className={styles.buttons}>
+            <button
+              className={styles.controlButton}
+              onClick={() => skip(-SKIP_SECONDS)}
+              title={t("player.back", { seconds: SKIP_SECONDS })}
+            >
+              ↺ {SKIP_SECONDS}
+            </button>
+            <button
+              className={`${styles.controlButton} ${styles.playButton}`}
+              onClick={togglePlay}
+              aria-label={t(isPlaying ? "player.pause" : "player.play")}
+            >
+              {isPlaying ? "❚❚" : "▶"}
+            </button>
+            <button
+              className={styles.controlButton}
+              onClick={() => skip(SKIP_SECONDS)}
+              title={t("player.forward", { seconds: SKIP_SECONDS })}
+            >
+              {SKIP_SECONDS} ↻
+            </button>
+          </div>
+
+          <div className={styles.progress}>
+            <span className={styles.time}>{formatTime(currentTime)}</span>
+            <input
+              type="range"
+              className={styles.seek}
+              min={0}
+              max={duration || 0}
+              step={1}
+              value={Math.min(currentTime, duration || 0)}
+              onChange={(e) => seek(Number(e.target.value))}
+              aria-label={t("player.seek")}
+            />
+            <span className={styles.time}>{formatTime(duration)}</span>
+          </div>
+        </div>
+
+        <div className={styles.settings}>
+          <select
+            className={styles.rate}
+            value={playbackRate}
+            onChange={(e) => setPlaybackRate(Number(e.target.value))}
+            aria-label={t("player.speed")}
+          >
+            {PLAYBACK_RATES.map((rate) => (
+              <option key={rate} value={rate}>
+                {rate}×
+              </option>
+            ))}
+          </select>
+          <input
+            type="range"
+            className={styles.volume}
+            min={0}
+            max={1}
+            step={0.05}
+            value={volume}
+            onChange={(e) => setVolume(Number(e.target.value))}
+            aria-label={t("player.volume")}
+          />
+          <button
+            className={styles.closeButton}
+            onClick={stop}
+            aria-label={t("player.close")}
+          >
+            &times;
+          </button>
+        </div>
+      </div>
+    </>
+  );
+}
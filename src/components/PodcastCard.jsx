@@ -1,12 +1,24 @@
-import { formatDate } from "../utils/formatDate";
 import styles from "./PodcastCard.module.css";
-import React, { useState } from "react";
-import Modal from "./Modal";
-import Modalseries from "./Modalseries";
+import { useContext, useRef } from "react";
+import { Link, useLocation, useNavigate } from "react-router-dom";
+import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { usePrefetchShow } from "../hooks/usePodcastApi";
+import GenreTags from "./GenreTags";
+import Artwork from "./Artwork";
+import HighlightedText from "./HighlightedText";
 
 /**
  * Renders a single podcast preview card with image, title, number of seasons,
- * genres (as styled tags), and the last updated date.
+ * genres (as tags linking to their genre pages), and how long ago it was last
+ * updated (the full date shows on hover).
+ * Clicking the card navigates to the show's own `/show/:id` route. The card
+ * itself is the tab stop, and Enter on it opens the show (see
+ * useCardNavigation); the title stays a link to the same place for pointer
+ * and screen reader users. The card takes focus when clicked so the detail
+ * modal can return focus to it when closed. Words in the title matching the
+ * current search are highlighted. The show's details are prefetched while
+ * the card is in view or pointed at, so opening it is instant.
  *
  * @param {Object} props
  * @param {Object} props.podcast - The podcast data object to display.
@@ -14,67 +26,71 @@ import Modalseries from "./Modalseries";
  * @param {string} props.podcast.title - Title of the podcast.
  * @param {string} props.podcast.image - URL of the podcast image.
  * @param {number} props.podcast.seasons - Number of seasons available.
- * @param {string} props.podcast.updated - ISO date string for the last update.
+ * @param {string|null} props.podcast.updated - ISO date string for the last update, if known.
  * @param {Array<Object>} props.genres - Array of genre objects for mapping IDs to titles.
  *
  * @returns {JSX.Element} The rendered podcast card component.
  */
 export default function PodcastCard({ podcast, genres }) {
-  const [isModalOpen, setIsModalOpen] = useState(false);
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { search } = useContext(PodcastContext);
+  const { t, formatDate } = useContext(LocaleContext);
+  const cardRef = useRef(null);
+  const prefetchHandlers = usePrefetchShow(podcast.id, cardRef);
 
-  const handleCardClick = () => {
-    setIsModalOpen(true);
-  };
+  // Carry the query string along so the page state is kept in the URL, and
+  // remember the current page so it stays visible behind the detail view.
+  const target = { pathname: `/show/${podcast.id}`, search: location.search };
+  const state = { fromApp: true, backgroundLocation: location };
 
-  const closeModal = () => {
-    setIsModalOpen(false);
+  const handleCardClick = () => {
+    navigate(target, { state });
   };
 
-  const genreSpans = podcast.genres.map((id) => {
-    const match = genres.find((genre) => genre.id === id);
-    return (
-      <span key={id} className={styles.tag}>
-        {match ? match.title : `Unknown (${id})`}
-      </span>
-    );
-  });
-
   return (
-    <>
-      <div className={styles.card} onClick={handleCardClick}>
-        <img src={podcast.image} alt={podcast.title} />
-        <h3>{podcast.title}</h3>
-        <p className={styles.seasons}>{podcast.seasons} seasons</p>
-        <div className={styles.tags}>{genreSpans}</div>
+    <div
+      ref={cardRef}
+      className={styles.card}
+      onClick={handleCardClick}
+      tabIndex={0}
+      data-show-card
+      {...prefetchHandlers}
+    >
+      <Artwork
+        className={styles.image}
+        src={podcast.image}
+        alt={podcast.title}
+        title={podcast.title}
+        genre={podcast.genres[0]}
+      />
+      <h3>
+        <Link
+          to={target}
+          state={state}
+          className={styles.titleLink}
+          // The card is the tab stop; a second one per card would only slow
+          // down tabbing through the grid.
+          tabIndex={-1}
+          // The card's own click handler would navigate a second time.
+          onClick={(e) => e.stopPropagation()}
+        >
+          <HighlightedText text={podcast.title} query={search} />
+        </Link>
+      </h3>
+      <p className={styles.seasons}>
+        {t("show.seasons", { count: podcast.seasons })}
+      </p>
+      <GenreTags genreIds={podcast.genres} genres={genres} />
+      {podcast.updated && (
         <p className={styles.updatedText}>
-          Updated {formatDate(podcast.updated)}
+          <time dateTime={podcast.updated} title={formatDate(podcast.updated)}>
+            {t("show.updated", {
+              date: formatDate(podcast.updated, { relative: true }),
+            })}
+          </time>
         </p>
-      </div>
-
-      <Modal isOpen={isModalOpen} onClose={closeModal}>
-        <div className="modal-top">
-          <div>
-            <img
-              className="modalImage"
-              src={podcast.image}
-              alt={podcast.title}
-            />
-          </div>
-
-          <div>
-            <h3 className="Modalheader">{podcast.title}</h3>
-            <p className="ModalDescription">{podcast.description}</p>
-            <div className="modalDetails">
-              <p className={styles.seasons}>{podcast.seasons} seasons</p>
-              <div className={styles.tags}>{genreSpans}</div>
-              <p className="ModalUpdatedText">
-                Updated {formatDate(podcast.updated)}
-              </p>
-            </div>
-          </div>
-        </div>
-        <Modalseries seriesId={podcast.id} />
-      </Modal>
-    </>
+      )}
+    </div>
   );
 }
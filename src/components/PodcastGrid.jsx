@@ -1,7 +1,33 @@
 import PodcastCard from "./PodcastCard";
 import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import VirtualPodcastGrid from "./VirtualPodcastGrid";
+import { useCardNavigation } from "../hooks/useCardNavigation";
 import styles from "./PodcastGrid.module.css";
-import { useContext } from "react";
+import { useContext, useRef } from "react";
+import { useLocation } from "react-router-dom";
+
+/**
+ * One page of podcast cards, browsable with the keyboard. Continuous mode
+ * leaves that to <VirtualPodcastGrid>, which owns its own grid element.
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - The shows on the page.
+ * @param {Array<Object>} props.genres - Genre definitions, see PodcastGrid.
+ * @returns {JSX.Element} The grid of cards.
+ */
+function PagedGrid({ podcasts, genres }) {
+  const gridRef = useRef(null);
+  useCardNavigation(gridRef);
+
+  return (
+    <div ref={gridRef} className={styles.grid}>
+      {podcasts.map((podcast) => (
+        <PodcastCard key={podcast.id} podcast={podcast} genres={genres} />
+      ))}
+    </div>
+  );
+}
 
 /**
  * PodcastGrid Component
@@ -11,6 +37,9 @@ import { useContext } from "react";
  * title, image, genres, season count, and last updated date.
  *
  * If the filtered list is empty, it displays a user-friendly "no results" message.
+ * In continuous browse mode the whole filtered list is handed to
+ * <VirtualPodcastGrid> instead, which starts over whenever the results change.
+ * Either way the cards can be browsed with the keyboard (see useCardNavigation).
  *
  * @component
  * @param {Object} props - Component props
@@ -19,21 +48,27 @@ import { useContext } from "react";
  * @returns {JSX.Element} A grid of <PodcastCard> components or a message if no results are found
  */
 export default function PodcastGrid({ genres }) {
-  const { podcasts } = useContext(PodcastContext);
-  if (!podcasts.length) {
+  const { podcasts, filteredPodcasts, browseMode } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
+  const location = useLocation();
+
+  if (browseMode === "continuous") {
+    // The page number doesn't apply to a continuous list.
+    const params = new URLSearchParams(location.search);
+    params.delete("page");
+    const restoreKey = `${location.pathname}?${params}`;
     return (
-      <p className={styles.noResults}>
-        No podcasts match your search or filters.
-      </p>
+      <VirtualPodcastGrid
+        key={restoreKey}
+        podcasts={filteredPodcasts}
+        genres={genres}
+        restoreKey={restoreKey}
+      />
     );
   }
-  return (
-    <>
-      <div className={styles.grid}>
-        {podcasts.map((podcast) => (
-          <PodcastCard key={podcast.id} podcast={podcast} genres={genres} />
-        ))}
-      </div>
-    </>
-  );
+
+  if (!podcasts.length) {
+    return <p className={styles.noResults}>{t("results.none")}</p>;
+  }
+  return <PagedGrid podcasts={podcasts} genres={genres} />;
 }
@@ -0,0 +1,80 @@
+import { useContext, useId } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { LocaleContext } from "../context/LocaleContext";
+import { recommendShows } from "../utils/recommendShows";
+import Artwork from "./Artwork";
+import styles from "./Recommendations.module.css";
+
+/**
+ * "More like this" strip shown below the seasons in the show detail view.
+ * Recommends other shows from the loaded catalogue (see
+ * {@link recommendShows}); picking one opens its detail in the same modal.
+ *
+ * Each hop adds a history entry, so the browser's back button steps through
+ * previously viewed shows. `detailDepth` in the location state counts the
+ * hops, letting the modal's close button return straight to the page it was
+ * opened from.
+ *
+ * @param {Object} props
+ * @param {Object} props.show - The show being viewed (preview or full payload).
+ * @param {Array<Object>} props.podcasts - Show previews of the catalogue.
+ * @param {Array<Object>} props.genres - Known genres, to resolve genre titles to IDs.
+ * @returns {JSX.Element|null} The recommendations, or null when there are none.
+ */
+export default function Recommendations({ show, podcasts, genres }) {
+  const location = useLocation();
+  const { t } = useContext(LocaleContext);
+  const headingId = useId();
+
+  // Full show payloads list genres by title and seasons as an array.
+  const genreIds = (show.genres || [])
+    .map((g) =>
+      typeof g === "string" ? genres.find((genre) => genre.title === g)?.id : g
+    )
+    .filter((id) => id !== undefined);
+  const seasons = Array.isArray(show.seasons)
+    ? show.seasons.length
+    : show.seasons || 0;
+
+  const recommended = recommendShows(
+    { id: show.id, genres: genreIds, seasons },
+    podcasts
+  );
+  if (recommended.length === 0) return null;
+
+  const state = {
+    ...location.state,
+    detailDepth: (location.state?.detailDepth || 0) + 1,
+  };
+
+  return (
+    <section className={styles.recommendations} aria-labelledby={headingId}>
+      <h3 id={headingId} className={styles.heading}>
+        {t("recommendations.heading")}
+      </h3>
+      <ul className={styles.list}>
+        {recommended.map((podcast) => (
+          <li key={podcast.id} className={styles.item}>
+            <Link
+              to={{ pathname: `/show/${podcast.id}`, search: location.search }}
+              state={state}
+              className={styles.link}
+            >
+              <Artwork
+                className={styles.image}
+                src={podcast.image}
+                alt=""
+                title={podcast.title}
+                genre={podcast.genres[0]}
+              />
+              <span className={styles.title}>{podcast.title}</span>
+              <span className={styles.seasons}>
+                {t("show.seasons", { count: podcast.seasons })}
+              </span>
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
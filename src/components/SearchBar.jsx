@@ -1,13 +1,34 @@
-import { useState, useEffect, useContext } from "react";
+import { useState, useEffect, useContext, useRef } from "react";
 import { PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
+import { useShortcuts } from "../hooks/useShortcuts";
 import styles from "./SearchBar.module.css";
 
 /**
- * Search input with debounced update.
+ * Search input with debounced update. Pressing `/` anywhere on the page
+ * focuses it.
  */
 export default function SearchBar() {
   const { search, setSearch } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
   const [value, setValue] = useState(search);
+  const inputRef = useRef(null);
+
+  useShortcuts(
+    [
+      {
+        keys: ["/"],
+        description: t("shortcuts.search"),
+        run: () => inputRef.current.focus(),
+      },
+    ],
+    inputRef
+  );
+
+  // Keep the input in sync when the query changes from outside (back/forward).
+  useEffect(() => {
+    setValue(search);
+  }, [search]);
 
   // Debounce input (300ms) to avoid rapid updates.
   useEffect(() => {
@@ -17,8 +38,9 @@ export default function SearchBar() {
 
   return (
     <input
+      ref={inputRef}
       type="search"
-      placeholder="Search podcasts…"
+      placeholder={t("search.placeholder")}
       value={value}
       onChange={(e) => setValue(e.target.value)}
       className={styles.searchInput}
@@ -1,9 +1,13 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useContext, useRef } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import { useShortcuts } from "../hooks/useShortcuts";
 import "./SeasonScroller.css";
 
 /**
  * SeasonScroller component that provides navigation controls for scrolling between
  * different seasons of a podcast series. Includes dropdown selection and previous/next buttons.
+ * `onSeasonSelect` is called before scrolling, so it can expand the chosen season.
+ * While focus is in the same dialog, `,` and `.` work like the previous/next buttons.
  *
  * @component
  * @param {Object} props - The component props
@@ -23,6 +27,8 @@ import "./SeasonScroller.css";
  * <SeasonScroller seasons={seasons} />
  */
 const SeasonScroller = ({ seasons, onSeasonSelect }) => {
+  const { t } = useContext(LocaleContext);
+
   /**
    * State to track the currently selected season number as a string
    * @type {[string, Function]}
@@ -35,9 +41,16 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
    */
   const [currentSeasonIndex, setCurrentSeasonIndex] = useState(0);
 
+  /**
+   * Root element, which scopes the keyboard shortcuts to the dialog it is in
+   * @type {{current: HTMLElement|null}}
+   */
+  const scrollerRef = useRef(null);
+
   /**
    * Scrolls to a specific season section on the page using smooth scrolling behavior.
-   * Looks for an element with ID pattern `season-${seasonNumber}`.
+   * Looks for an element with ID pattern `season-${seasonNumber}`. Waits a frame
+   * so a season expanded by `onSeasonSelect` has rendered before scrolling.
    *
    * @function scrollToSeason
    * @param {string|number} seasonNumber - The season number to scroll to
@@ -48,13 +61,15 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
    * scrollToSeason(3);
    */
   const scrollToSeason = (seasonNumber) => {
-    const seasonElement = document.getElementById(`season-${seasonNumber}`);
-    if (seasonElement) {
-      seasonElement.scrollIntoView({
-        behavior: "smooth",
-        block: "start",
-      });
-    }
+    requestAnimationFrame(() => {
+      const seasonElement = document.getElementById(`season-${seasonNumber}`);
+      if (seasonElement) {
+        seasonElement.scrollIntoView({
+          behavior: "smooth",
+          block: "start",
+        });
+      }
+    });
   };
 
   /**
@@ -117,6 +132,22 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
     }
   };
 
+  useShortcuts(
+    [
+      {
+        keys: [","],
+        description: t("shortcuts.previousSeason"),
+        run: moveToPreviousSeason,
+      },
+      {
+        keys: ["."],
+        description: t("shortcuts.nextSeason"),
+        run: moveToNextSeason,
+      },
+    ],
+    scrollerRef
+  );
+
   /**
    * Handles dropdown selection change events.
    * Updates state based on selected season and scrolls to the selected season.
@@ -191,11 +222,11 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
    * @returns {JSX.Element} The season scroller component with navigation controls
    */
   return (
-    <div className="season-scroller">
+    <div className="season-scroller" ref={scrollerRef}>
       {/* Navigation controls section */}
       <div className="season-navigation">
         <label htmlFor="season-select" className="season-select-label">
-          Jump to Season:
+          {t("scroller.jumpTo")}
         </label>
 
         <div className="season-controls">
@@ -204,9 +235,9 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
             onClick={moveToPreviousSeason}
             disabled={isFirstSeason}
             className="season-nav-button prev-button"
-            title="Previous Season"
+            title={t("scroller.previousTitle")}
           >
-            ← Previous
+            {t("scroller.previous")}
           </button>
 
           {/* Season selection dropdown */}
@@ -216,13 +247,16 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
             onChange={handleSeasonChange}
             className="season-select-dropdown"
           >
-            <option value="">Select a season...</option>
+            <option value="">{t("scroller.select")}</option>
             {seasons.map((season, index) => (
               <option
                 key={season.season || index}
                 value={season.season || index + 1}
               >
-                Season {season.season || index + 1} - {season.title}
+                {t("scroller.option", {
+                  number: season.season || index + 1,
+                  title: season.title,
+                })}
               </option>
             ))}
           </select>
@@ -232,9 +266,9 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
             onClick={moveToNextSeason}
             disabled={isLastSeason}
             className="season-nav-button next-button"
-            title="Next Season"
+            title={t("scroller.nextTitle")}
           >
-            Next →
+            {t("scroller.next")}
           </button>
         </div>
       </div>
@@ -243,8 +277,11 @@ const SeasonScroller = ({ seasons, onSeasonSelect }) => {
       <div className="season-info">
         {selectedSeason && (
           <p className="current-season-info">
-            Currently viewing: Season {selectedSeason} ({currentSeasonIndex + 1}{" "}
-            of {seasons.length})
+            {t("scroller.current", {
+              number: selectedSeason,
+              position: currentSeasonIndex + 1,
+              total: seasons.length,
+            })}
           </p>
         )}
       </div>
@@ -0,0 +1,84 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+import SeasonScroller from "./SeasonScroller";
+import { showDetails } from "../test/mockApi";
+
+const seasons = showDetails["10716"].seasons;
+
+/**
+ * Renders the scroller next to sections with the ids it scrolls to.
+ * @param {Function} [onSeasonSelect]
+ */
+function renderScroller(onSeasonSelect) {
+  render(
+    <>
+      <SeasonScroller seasons={seasons} onSeasonSelect={onSeasonSelect} />
+      {seasons.map((s) => (
+        <section key={s.season} id={`season-${s.season}`} />
+      ))}
+    </>
+  );
+}
+
+describe("SeasonScroller", () => {
+  it("renders nothing without seasons", () => {
+    const { container } = render(<SeasonScroller seasons={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("starts at the first season", () => {
+    renderScroller();
+
+    expect(screen.getByRole("button", { name: /previous/i })).toBeDisabled();
+    expect(screen.getByRole("button", { name: /next/i })).toBeEnabled();
+    expect(screen.getByRole("combobox")).toHaveValue("");
+  });
+
+  it("steps through seasons with next and previous", async () => {
+    const user = userEvent.setup();
+    const onSeasonSelect = vi.fn();
+    renderScroller(onSeasonSelect);
+
+    await user.click(screen.getByRole("button", { name: /next/i }));
+    expect(onSeasonSelect).toHaveBeenLastCalledWith(2);
+    expect(screen.getByText(/Currently viewing: Season 2/)).toHaveTextContent(
+      "(2 of 3)"
+    );
+
+    await user.click(screen.getByRole("button", { name: /next/i }));
+    expect(screen.getByRole("button", { name: /next/i })).toBeDisabled();
+
+    await user.click(screen.getByRole("button", { name: /previous/i }));
+    expect(onSeasonSelect).toHaveBeenLastCalledWith(2);
+    expect(screen.getByRole("combobox")).toHaveValue("2");
+  });
+
+  it("jumps to the season picked in the dropdown and scrolls to it", async () => {
+    const user = userEvent.setup();
+    const onSeasonSelect = vi.fn();
+    renderScroller(onSeasonSelect);
+
+    await user.selectOptions(screen.getByRole("combobox"), "3");
+    expect(onSeasonSelect).toHaveBeenCalledWith("3");
+    expect(screen.getByRole("button", { name: /next/i })).toBeDisabled();
+
+    const target = document.getElementById("season-3");
+    await waitFor(() =>
+      expect(Element.prototype.scrollIntoView).toHaveBeenCalled()
+    );
+    expect(Element.prototype.scrollIntoView.mock.contexts).toContain(target);
+  });
+
+  it("steps through seasons with the , and . keys", async () => {
+    const user = userEvent.setup();
+    const onSeasonSelect = vi.fn();
+    renderScroller(onSeasonSelect);
+
+    await user.keyboard("..");
+    expect(onSeasonSelect).toHaveBeenLastCalledWith(3);
+    await user.keyboard(",");
+    expect(onSeasonSelect).toHaveBeenLastCalledWith(2);
+    expect(screen.getByRole("combobox")).toHaveValue("2");
+  });
+});
@@ -0,0 +1,66 @@
+import { useContext, useId, useState } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import { getActiveShortcuts, useShortcuts } from "../hooks/useShortcuts";
+import Modal from "./Modal";
+import styles from "./ShortcutHelp.module.css";
+
+/** How keys without a printable character are shown. */
+const KEY_LABELS = {
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+/**
+ * Cheat-sheet of keyboard shortcuts, opened with `?`. It lists the shortcuts
+ * that apply where focus was when it opened, e.g. season navigation inside
+ * a show's detail view, or browsing the grid on the homepage.
+ *
+ * @returns {JSX.Element|null} The cheat-sheet dialog, or null when closed.
+ */
+export default function ShortcutHelp() {
+  const { t } = useContext(LocaleContext);
+  const headingId = useId();
+
+  /** @type {[import("../hooks/useShortcuts").Shortcut[]|null, Function]} */
+  const [shortcuts, setShortcuts] = useState(null);
+
+  useShortcuts([
+    {
+      keys: ["?"],
+      description: t("shortcuts.help"),
+      run: (e) => {
+        const active = getActiveShortcuts(e.target);
+        setShortcuts((open) => (open ? null : active));
+      },
+    },
+  ]);
+
+  return (
+    <Modal
+      isOpen={Boolean(shortcuts)}
+      onClose={() => setShortcuts(null)}
+      labelledBy={headingId}
+    >
+      <h2 id={headingId} className={styles.heading}>
+        {t("shortcuts.heading")}
+      </h2>
+      <dl className={styles.list}>
+        {shortcuts?.map(({ keys, description }) => (
+          <div key={description} className={styles.item}>
+            <dt>
+              {keys.map((key, i) => (
+                <span key={key}>
+                  {i > 0 && ` ${t("shortcuts.or")} `}
+                  <kbd className={styles.key}>{KEY_LABELS[key] || key}</kbd>
+                </span>
+              ))}
+            </dt>
+            <dd>{description}</dd>
+          </div>
+        ))}
+      </dl>
+    </Modal>
+  );
+}
@@ -0,0 +1,161 @@
+import { useContext, useEffect, useId, useRef } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import { LocaleContext } from "../context/LocaleContext";
+import { useShow } from "../hooks/usePodcastApi";
+import { SchemaError } from "../api/schemas";
+import Modal from "./Modal";
+import Artwork from "./Artwork";
+import Modalseries from "./Modalseries";
+import GenreTags from "./GenreTags";
+import Recommendations from "./Recommendations";
+import styles from "./PodcastCard.module.css";
+import "./ShowDetail.css";
+
+/**
+ * ShowDetail is the routed view for `/show/:id`, also reached through links
+ * to one of the show's seasons or episodes (`/show/:id/season/:season` and
+ * `.../episode/:episode`), which it scrolls to. It renders the show detail
+ * modal on top of the homepage, using the preview from the already loaded
+ * catalogue when available and falling back to fetching the show by ID when
+ * the page is opened directly (e.g. from a shared link or after a refresh).
+ * Below the seasons it recommends similar shows, which open in place.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - Show previews loaded for the homepage.
+ * @param {boolean} props.catalogueLoading - Whether the previews are still loading.
+ * @param {Array<Object>} props.genres - Array of genre objects for mapping IDs to titles.
+ *
+ * @returns {JSX.Element} The show detail modal, or a loading / not-found state.
+ */
+export default function ShowDetail({ podcasts, catalogueLoading, genres }) {
+  const { id, season, episode } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const titleId = useId();
+  const { t, formatDate } = useContext(LocaleContext);
+  const headingRef = useRef(null);
+  const shownId = useRef(id);
+
+  const preview = podcasts.find((p) => String(p.id) === id);
+
+  /**
+   * Show fetched by ID when it isn't part of the loaded catalogue. We wait
+   * for the catalogue first, as the preview is usually already in there.
+   */
+  const {
+    data: fetchedShow,
+    loading,
+    error,
+  } = useShow(catalogueLoading || preview ? null : id);
+
+  // A response that fails the show schema (e.g. without an ID) holds no show
+  // to display, so it counts as not found; the details are logged.
+  const notFound = Boolean(error?.isNotFound) || error instanceof SchemaError;
+
+  /**
+   * Closes the detail view. When the show was opened from inside the app we
+   * step back in history, past any recommended shows opened since, so
+   * back/forward keep working as expected. Otherwise (direct landing) we
+   * replace the entry with the homepage, keeping any search, filter and page
+   * parameters from the shared link.
+   */
+  const closeDetail = () => {
+    if (location.state?.fromApp)
+      navigate(-1 - (location.state.detailDepth || 0));
+    else
+      navigate({ pathname: "/", search: location.search }, { replace: true });
+  };
+
+  const show = preview || (notFound ? null : fetchedShow);
+
+  // Opening a recommended show reuses this modal: bring its title into view
+  // and focus, as the link that was clicked may no longer be listed.
+  useEffect(() => {
+    if (shownId.current === id) return;
+    shownId.current = id;
+    headingRef.current?.focus();
+  }, [id]);
+
+  if (!show) {
+    return (
+      <Modal isOpen onClose={closeDetail} label={t("show.dialogLabel", { id })}>
+        {(catalogueLoading || loading) && (
+          <div className="loading-container">
+            <p>{t("show.loading", { id })}</p>
+          </div>
+        )}
+        {error && !notFound && (
+          <div className="error-container">
+            <p>{t("show.loadFailed", { id, message: error.message })}</p>
+          </div>
+        )}
+        {notFound && (
+          <div className="show-not-found">
+            <h3>{t("show.notFound")}</h3>
+            <p>{t("show.notFoundDetail", { id })}</p>
+            <button onClick={closeDetail}>{t("common.backToAllShows")}</button>
+          </div>
+        )}
+      </Modal>
+    );
+  }
+
+  const seasonCount = Array.isArray(show.seasons)
+    ? show.seasons.length
+    : show.seasons;
+  // Full show payloads list genres by title rather than by ID.
+  const firstGenre = show.genres?.[0];
+  const genreId =
+    typeof firstGenre === "string"
+      ? genres.find((genre) => genre.title === firstGenre)?.id
+      : firstGenre;
+
+  return (
+    <Modal isOpen onClose={closeDetail} labelledBy={titleId}>
+      <div className="modal-top">
+        <div>
+          <Artwork
+            className="modalImage"
+            src={show.image}
+            alt={show.title}
+            title={show.title}
+            genre={genreId}
+            lazy={false}
+          />
+        </div>
+
+        <div>
+          <h3
+            id={titleId}
+            ref={headingRef}
+            className="Modalheader"
+            tabIndex={-1}
+          >
+            {show.title}
+          </h3>
+          <p className="ModalDescription">{show.description}</p>
+          <div className="modalDetails">
+            <p className={styles.seasons}>
+              {t("show.seasons", { count: seasonCount })}
+            </p>
+            <GenreTags genreIds={show.genres || []} genres={genres} />
+            {show.updated && (
+              <p className="ModalUpdatedText">
+                {t("show.updated", { date: formatDate(show.updated) })}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+      <Modalseries
+        key={show.id}
+        seriesId={show.id}
+        genre={genreId}
+        linkedSeason={season && Number(season)}
+        linkedEpisode={episode && Number(episode)}
+      />
+      <Recommendations show={show} podcasts={podcasts} genres={genres} />
+    </Modal>
+  );
+}
@@ -0,0 +1,46 @@
+import { useContext } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import PodcastGrid from "./PodcastGrid";
+import Pagination from "./Pagination";
+import styles from "./ShowResults.module.css";
+
+/**
+ * Shows the result area of a browsing page: a spinner while the catalogue
+ * loads, an error message if it failed, and otherwise the grid of
+ * shows from the surrounding <PodcastProvider>, paged or continuous.
+ *
+ * @param {Object} props
+ * @param {boolean} props.loading - Whether the catalogue is still loading.
+ * @param {Error|null} props.error - Error from loading the catalogue, if any.
+ * @param {Array<Object>} props.genres - Array of genre objects for mapping IDs to titles.
+ * @returns {JSX.Element} The loading, error or results view.
+ */
+export default function ShowResults({ loading, error, genres }) {
+  const { t } = useContext(LocaleContext);
+
+  return (
+    <>
+      {loading && (
+        <div className={styles.messageContainer}>
+          <div className={styles.spinner}></div>
+          <p>{t("results.loading")}</p>
+        </div>
+      )}
+
+      {error && (
+        <div className={styles.message}>
+          <div className={styles.error}>
+            {t("results.error", { message: error.message })}
+          </div>
+        </div>
+      )}
+
+      {!loading && !error && (
+        <>
+          <PodcastGrid genres={genres} />
+          <Pagination />
+        </>
+      )}
+    </>
+  );
+}
@@ -1,22 +1,31 @@
 import { useContext } from "react";
 import { SORT_OPTIONS, PodcastContext } from "../context/PodcastContext";
+import { LocaleContext } from "../context/LocaleContext";
 import styles from "./SortSelect.module.css";
 
 /**
- * Dropdown for choosing sort order.
+ * Dropdown for choosing sort order. "Relevance" is only available (and the
+ * default) while a search query is present.
  */
 export default function SortSelect() {
-  const { sortKey, setSortKey } = useContext(PodcastContext);
+  const { sortKey, setSortKey, search } = useContext(PodcastContext);
+  const { t } = useContext(LocaleContext);
 
   return (
     <select
       className={styles.select}
+      aria-label={t("sort.label")}
       value={sortKey}
       onChange={(e) => setSortKey(e.target.value)}
     >
       {SORT_OPTIONS.map((o) => (
-        <option key={o.key} value={o.key}>
-          {o.label}
+        <option
+          key={o.key}
+          value={o.key}
+          // Relevance is only meaningful while searching.
+          disabled={o.key === "relevance" && !search.trim()}
+        >
+          {t(`sort.${o.key}`)}
         </option>
       ))}
     </select>
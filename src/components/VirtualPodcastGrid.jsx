@@ -0,0 +1,180 @@
+import {
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+} from "react";
+import PodcastCard from "./PodcastCard";
+import { LocaleContext } from "../context/LocaleContext";
+import { useCardNavigation } from "../hooks/useCardNavigation";
+import { readStorage, writeStorage } from "../utils/storage";
+import styles from "./PodcastGrid.module.css";
+
+/** How many more shows are loaded each time the end of the list comes close. */
+const BATCH_SIZE = 24;
+
+/** Rows rendered above and below the viewport so fast scrolling stays smooth. */
+const OVERSCAN_ROWS = 2;
+
+/** Minimum card width and gap, matching `.grid` in PodcastGrid.module.css. */
+const MIN_CARD_WIDTH = 250;
+const GAP = 16;
+
+/** Prefix of the sessionStorage keys the scroll position is kept under. */
+const SCROLL_STORAGE_PREFIX = "podcast-app:continuous-scroll:";
+
+/**
+ * VirtualPodcastGrid renders a long list of podcast cards as one continuous
+ * grid. Shows are loaded in batches as the end of the list scrolls into view,
+ * and only the rows near the viewport are actually rendered, so thousands of
+ * shows stay cheap to scroll through.
+ *
+ * How far the list was loaded and scrolled is kept in sessionStorage under
+ * `restoreKey`, so coming back to the same results (e.g. with the browser's
+ * back button) returns to the same spot.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<Object>} props.podcasts - All shows to browse, in display order.
+ * @param {Array<Object>} props.genres - Array of genre objects for mapping IDs to titles.
+ * @param {string} props.restoreKey - Identifies the results, e.g. path and query.
+ * @returns {JSX.Element} The virtualized grid.
+ */
+export default function VirtualPodcastGrid({ podcasts, genres, restoreKey }) {
+  const { t } = useContext(LocaleContext);
+  const storageKey = SCROLL_STORAGE_PREFIX + restoreKey;
+  const containerRef = useRef(null);
+  const gridRef = useRef(null);
+  const savedRef = useRef(readStorage(storageKey, null, "session"));
+  useCardNavigation(gridRef);
+
+  const [loadedCount, setLoadedCount] = useState(() =>
+    Math.max(BATCH_SIZE, savedRef.current?.loadedCount || 0)
+  );
+  const [columns, setColumns] = useState(1);
+  const [rowHeight, setRowHeight] = useState(0);
+  const [rows, setRows] = useState({ start: 0, end: 0 });
+
+  const loaded = podcasts.slice(0, loadedCount);
+  const rowCount = Math.ceil(loaded.length / columns);
+  // Until a row has been measured, render the first batch without windowing.
+  const start = rowHeight ? rows.start : 0;
+  const end = rowHeight ? Math.min(rows.end, rowCount) : rowCount;
+  const visible = loaded.slice(start * columns, end * columns);
+
+  /**
+   * Recomputes the column count and the range of rows near the viewport, and
+   * loads the next batch once the last loaded row comes close.
+   */
+  const update = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const style = window.getComputedStyle(container);
+    const width =
+      container.clientWidth -
+      parseFloat(style.paddingLeft) -
+      parseFloat(style.paddingRight);
+    const cols = Math.max(
+      1,
+      Math.floor((width + GAP) / (MIN_CARD_WIDTH + GAP))
+    );
+    setColumns(cols);
+
+    if (!rowHeight) return;
+    const top = container.getBoundingClientRect().top;
+    const first = Math.max(0, Math.floor(-top / rowHeight) - OVERSCAN_ROWS);
+    const last =
+      Math.ceil((window.innerHeight - top) / rowHeight) + OVERSCAN_ROWS;
+    setRows((prev) =>
+      prev.start === first && prev.end === last
+        ? prev
+        : { start: first, end: last }
+    );
+
+    if (last * cols >= loadedCount && loadedCount < podcasts.length) {
+      setLoadedCount((n) => Math.min(n + BATCH_SIZE, podcasts.length));
+    }
+  }, [rowHeight, loadedCount, podcasts.length]);
+
+  // Measure the tallest card whenever other cards are rendered; rows only
+  // ever grow so the layout doesn't jump back and forth while scrolling.
+  useLayoutEffect(() => {
+    const cards = gridRef.current?.children;
+    if (!cards?.length) return;
+    // scrollHeight, since cards are stretched to (or clipped at) the row height.
+    const tallest = Math.max(...Array.from(cards, (card) => card.scrollHeight));
+    if (tallest + GAP > rowHeight) setRowHeight(Math.ceil(tallest + GAP));
+  }, [start, end, columns, rowHeight]);
+
+  useEffect(() => {
+    let frame = 0;
+    const onScroll = () => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => {
+        update();
+        writeStorage(
+          storageKey,
+          { loadedCount, scrollY: window.scrollY },
+          "session"
+        );
+      });
+    };
+
+    update();
+    window.addEventListener("scroll", onScroll, { passive: true });
+    window.addEventListener("resize", onScroll);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", onScroll);
+      window.removeEventListener("resize", onScroll);
+    };
+  }, [update, storageKey, loadedCount]);
+
+  // Return to the saved scroll position once rows have a height again.
+  useEffect(() => {
+    const saved = savedRef.current;
+    if (!rowHeight || !saved) return;
+    savedRef.current = null;
+    window.scrollTo(0, saved.scrollY);
+  }, [rowHeight]);
+
+  if (!podcasts.length) {
+    return <p className={styles.noResults}>{t("results.none")}</p>;
+  }
+
+  return (
+    <>
+      <div
+        ref={containerRef}
+        className={styles.virtualContainer}
+        style={rowHeight ? { height: rowCount * rowHeight - GAP } : undefined}
+      >
+        <div
+          ref={gridRef}
+          className={styles.virtualGrid}
+          style={{
+            gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))`,
+            gridAutoRows: rowHeight ? rowHeight - GAP : undefined,
+            transform: `translateY(${start * rowHeight}px)`,
+          }}
+        >
+          {visible.map((podcast) => (
+            <PodcastCard key={podcast.id} podcast={podcast} genres={genres} />
+          ))}
+        </div>
+      </div>
+
+      <p className={styles.listStatus} role="status">
+        {loadedCount < podcasts.length
+          ? t("results.loadedSoFar", {
+              loaded: loadedCount,
+              total: podcasts.length,
+            })
+          : t("results.allLoaded", { count: podcasts.length })}
+      </p>
+    </>
+  );
+}
@@ -0,0 +1,28 @@
+import { createContext } from "react";
+
+/**
+ * @typedef Track
+ * @property {string} key - Unique key for the episode (`showId-season-episode`)
+ * @property {string} src - URL of the episode audio file
+ * @property {string|number} showId - ID of the show the episode belongs to
+ * @property {string} showTitle - Title of the show
+ * @property {number} season - Season number
+ * @property {number} episode - Episode number
+ * @property {string} episodeTitle - Title of the episode
+ * @property {string} image - Season artwork URL
+ */
+
+/**
+ * Playback speeds offered by the player bar.
+ * @type {number[]}
+ */
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+/** Number of seconds the skip buttons jump back or forward. */
+export const SKIP_SECONDS = 15;
+
+/**
+ * React context for the app-wide audio player.
+ * Must be used within an <AudioPlayerProvider>.
+ */
+export const AudioPlayerContext = createContext();
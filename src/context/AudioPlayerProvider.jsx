@@ -0,0 +1,199 @@
+import React, { useContext, useEffect, useRef, useState } from "react";
+import { AudioPlayerContext } from "./AudioPlayerContext";
+import { ListeningProgressContext } from "./ListeningProgressContext";
+
+/** How often (in seconds of playback) the listening position is saved. */
+const SAVE_INTERVAL_SECONDS = 5;
+
+/**
+ * AudioPlayerProvider owns the single <audio> element used by the app and
+ * exposes the current track and playback controls through context. Because it
+ * sits above the routes, playback continues when the show detail modal is
+ * closed or the grid page changes.
+ *
+ * Playback positions are saved to the listening progress while playing and
+ * restored when an unfinished episode is played again.
+ *
+ * @param {{children: React.ReactNode}} props
+ * @returns {JSX.Element}
+ */
+export function AudioPlayerProvider({ children }) {
+  const audioRef = useRef(null);
+  const lastSavedRef = useRef(0);
+  const { getProgress, saveProgress, markCompleted } = useContext(
+    ListeningProgressContext
+  );
+
+  /** @type {[import("./AudioPlayerContext").Track|null, Function]} */
+  const [track, setTrack] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [volume, setVolume] = useState(1);
+
+  /**
+   * Starts playback whenever a new track is loaded.
+   */
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio || !track) return;
+
+    audio.load();
+    audio.play().catch((err) => {
+      console.error("Failed to play episode:", err);
+    });
+  }, [track]);
+
+  /**
+   * Keeps the element's speed in sync; `defaultPlaybackRate` makes the speed
+   * survive loading the next track.
+   */
+  useEffect(() => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.defaultPlaybackRate = playbackRate;
+    audio.playbackRate = playbackRate;
+  }, [playbackRate]);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.volume = volume;
+  }, [volume]);
+
+  /**
+   * Plays an episode. Calling it with the episode that is already loaded
+   * toggles between play and pause instead of restarting it.
+   *
+   * @param {import("./AudioPlayerContext").Track} nextTrack - The episode to play.
+   */
+  const playEpisode = (nextTrack) => {
+    if (track && track.key === nextTrack.key) {
+      togglePlay();
+      return;
+    }
+    if (audioRef.current) savePosition(audioRef.current);
+    setCurrentTime(0);
+    setDuration(0);
+    setTrack(nextTrack);
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio || !track) return;
+    if (audio.paused) audio.play().catch(() => {});
+    else audio.pause();
+  };
+
+  /**
+   * Moves playback to an absolute position, clamped to the track length.
+   * @param {number} time - Position in seconds.
+   */
+  const seek = (time) => {
+    const audio = audioRef.current;
+    if (!audio || !track) return;
+    const max = Number.isFinite(audio.duration) ? audio.duration : time;
+    audio.currentTime = Math.min(Math.max(time, 0), max);
+    setCurrentTime(audio.currentTime);
+  };
+
+  /**
+   * Jumps relative to the current position.
+   * @param {number} seconds - Offset in seconds; negative to go back.
+   */
+  const skip = (seconds) => {
+    if (audioRef.current) seek(audioRef.current.currentTime + seconds);
+  };
+
+  /**
+   * Stops playback and hides the player bar.
+   */
+  const stop = () => {
+    if (audioRef.current) {
+      savePosition(audioRef.current);
+      audioRef.current.pause();
+    }
+    setTrack(null);
+    setIsPlaying(false);
+    setCurrentTime(0);
+    setDuration(0);
+  };
+
+  /**
+   * Saves the current position of the loaded track.
+   * @param {HTMLAudioElement} audio - The player element.
+   */
+  const savePosition = (audio) => {
+    if (!track) return;
+    lastSavedRef.current = audio.currentTime;
+    saveProgress(track.key, track, audio.currentTime, audio.duration);
+  };
+
+  /**
+   * Resumes an unfinished episode from where it was left off.
+   */
+  const handleLoadedMetadata = (e) => {
+    const audio = e.currentTarget;
+    setDuration(audio.duration);
+
+    const saved = track && getProgress(track.key);
+    if (saved && !saved.completed && saved.position < audio.duration) {
+      audio.currentTime = saved.position;
+      setCurrentTime(saved.position);
+    }
+    lastSavedRef.current = audio.currentTime;
+  };
+
+  const handleTimeUpdate = (e) => {
+    const audio = e.currentTarget;
+    setCurrentTime(audio.currentTime);
+    if (
+      Math.abs(audio.currentTime - lastSavedRef.current) >=
+      SAVE_INTERVAL_SECONDS
+    ) {
+      savePosition(audio);
+    }
+  };
+
+  const handlePause = (e) => {
+    setIsPlaying(false);
+    // Pausing also fires when the track ends; "ended" handles that case.
+    if (!e.currentTarget.ended) savePosition(e.currentTarget);
+  };
+
+  const handleEnded = (e) => {
+    setIsPlaying(false);
+    if (track) markCompleted(track.key, track, e.currentTarget.duration);
+  };
+
+  const value = {
+    track,
+    isPlaying,
+    currentTime,
+    duration,
+    playbackRate,
+    setPlaybackRate,
+    volume,
+    setVolume,
+    playEpisode,
+    togglePlay,
+    seek,
+    skip,
+    stop,
+  };
+
+  return (
+    <AudioPlayerContext.Provider value={value}>
+      {children}
+      <audio
+        ref={audioRef}
+        src={track?.src}
+        preload="metadata"
+        onPlay={() => setIsPlaying(true)}
+        onPause={handlePause}
+        onEnded={handleEnded}
+        onTimeUpdate={handleTimeUpdate}
+        onLoadedMetadata={handleLoadedMetadata}
+      />
+    </AudioPlayerContext.Provider>
+  );
+}
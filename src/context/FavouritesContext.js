@@ -0,0 +1,18 @@
+import { createContext } from "react";
+
+/**
+ * @typedef Favourite
+ * @property {string} key - Episode key (`showId-season-episode`)
+ * @property {string} showId - ID of the show the episode belongs to
+ * @property {string} showTitle - Title of the show, used for grouping and sorting
+ * @property {number} season - Season number
+ * @property {number} episode - Episode number
+ * @property {string} title - Episode title
+ * @property {string} addedAt - ISO date string of when it was favourited
+ */
+
+/**
+ * React context for sharing favourite episodes across components.
+ * Must be used within a <FavouritesProvider>.
+ */
+export const FavouritesContext = createContext();
@@ -0,0 +1,63 @@
+import React, { useEffect, useState } from "react";
+import { FavouritesContext } from "./FavouritesContext";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
+
+/** localStorage key the favourites are persisted under. */
+const STORAGE_KEY = STORAGE_KEYS.favourites;
+
+/**
+ * FavouritesProvider keeps the list of favourite episodes, persists it to
+ * localStorage, and exposes helpers for checking and toggling favourites.
+ *
+ * @param {{children: React.ReactNode}} props
+ * @returns {JSX.Element}
+ */
+export function FavouritesProvider({ children }) {
+  /** @type {[import("./FavouritesContext").Favourite[], Function]} */
+  const [favourites, setFavourites] = useState(() => {
+    const stored = readStorage(STORAGE_KEY, []);
+    return Array.isArray(stored) ? stored : [];
+  });
+
+  useEffect(() => {
+    writeStorage(STORAGE_KEY, favourites);
+  }, [favourites]);
+
+  /**
+   * @param {string} key - Episode key.
+   * @returns {boolean} Whether the episode is a favourite.
+   */
+  const isFavourite = (key) => favourites.some((f) => f.key === key);
+
+  /**
+   * Adds the episode to the favourites, or removes it if already there.
+   * @param {Omit<import("./FavouritesContext").Favourite, "addedAt">} episode - The episode to toggle.
+   */
+  const toggleFavourite = (episode) => {
+    setFavourites((prev) =>
+      prev.some((f) => f.key === episode.key)
+        ? prev.filter((f) => f.key !== episode.key)
+        : [...prev, { ...episode, addedAt: new Date().toISOString() }]
+    );
+  };
+
+  /**
+   * @param {string} key - Episode key of the favourite to remove.
+   */
+  const removeFavourite = (key) => {
+    setFavourites((prev) => prev.filter((f) => f.key !== key));
+  };
+
+  const value = {
+    favourites,
+    isFavourite,
+    toggleFavourite,
+    removeFavourite,
+  };
+
+  return (
+    <FavouritesContext.Provider value={value}>
+      {children}
+    </FavouritesContext.Provider>
+  );
+}
@@ -0,0 +1,17 @@
+import { createContext } from "react";
+
+/**
+ * @typedef EpisodeProgress
+ * @property {string} showId - ID of the show the episode belongs to
+ * @property {number} season - Season number
+ * @property {number} position - Last playback position in seconds
+ * @property {number} duration - Length of the episode in seconds
+ * @property {boolean} completed - Whether the episode was listened to the end
+ * @property {string} updatedAt - ISO date string of the last update
+ */
+
+/**
+ * React context for sharing per-episode listening progress.
+ * Must be used within a <ListeningProgressProvider>.
+ */
+export const ListeningProgressContext = createContext();
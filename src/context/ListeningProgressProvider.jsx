@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { ListeningProgressContext } from "./ListeningProgressContext";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
+
+/** localStorage key the listening progress is persisted under. */
+const STORAGE_KEY = STORAGE_KEYS.listeningProgress;
+
+/**
+ * Share of an episode that has to be played before it counts as completed,
+ * so skipping the outro still marks it as listened.
+ */
+const COMPLETED_RATIO = 0.95;
+
+/**
+ * ListeningProgressProvider stores the playback position of every episode
+ * that has been played, keyed by episode key, and persists it to localStorage.
+ * Episodes are either "in-progress" or "completed".
+ *
+ * @param {{children: React.ReactNode}} props
+ * @returns {JSX.Element}
+ */
+export function ListeningProgressProvider({ children }) {
+  /** @type {[Object<string, import("./ListeningProgressContext").EpisodeProgress>, Function]} */
+  const [progress, setProgress] = useState(() => {
+    const stored = readStorage(STORAGE_KEY, {});
+    return stored && typeof stored === "object" ? stored : {};
+  });
+
+  useEffect(() => {
+    writeStorage(STORAGE_KEY, progress);
+  }, [progress]);
+
+  /**
+   * @param {string} key - Episode key.
+   * @returns {import("./ListeningProgressContext").EpisodeProgress|undefined} The stored progress, if any.
+   */
+  const getProgress = (key) => progress[key];
+
+  /**
+   * @param {string} key - Episode key.
+   * @returns {"completed"|"in-progress"|null} The listening status.
+   */
+  const getStatus = (key) => {
+    const entry = progress[key];
+    if (!entry) return null;
+    return entry.completed ? "completed" : "in-progress";
+  };
+
+  /**
+   * Records the playback position of an episode. Reaching
+   * {@link COMPLETED_RATIO} of the duration marks it as completed.
+   *
+   * @param {string} key - Episode key.
+   * @param {{showId: string, season: number}} episode - Where the episode belongs.
+   * @param {number} position - Playback position in seconds.
+   * @param {number} duration - Episode length in seconds.
+   */
+  const saveProgress = (key, { showId, season }, position, duration) => {
+    if (!Number.isFinite(duration) || duration <= 0) return;
+    setProgress((prev) => ({
+      ...prev,
+      [key]: {
+        showId: String(showId),
+        season,
+        position,
+        duration,
+        completed:
+          prev[key]?.completed || position >= duration * COMPLETED_RATIO,
+        updatedAt: new Date().toISOString(),
+      },
+    }));
+  };
+
+  /**
+   * Marks an episode as listened to the end.
+   *
+   * @param {string} key - Episode key.
+   * @param {{showId: string, season: number}} episode - Where the episode belongs.
+   * @param {number} duration - Episode length in seconds.
+   */
+  const markCompleted = (key, { showId, season }, duration) => {
+    setProgress((prev) => ({
+      ...prev,
+      [key]: {
+        showId: String(showId),
+        season,
+        position: duration,
+        duration,
+        completed: true,
+        updatedAt: new Date().toISOString(),
+      },
+    }));
+  };
+
+  /**
+   * @param {string[]} keys - Episode keys, e.g. every episode in a season.
+   * @returns {number} How many of the given episodes are completed.
+   */
+  const countCompleted = (keys) =>
+    keys.filter((key) => progress[key]?.completed).length;
+
+  /**
+   * Removes the progress of a single episode.
+   * @param {string} key - Episode key.
+   */
+  const resetEpisode = (key) => {
+    setProgress((prev) => {
+      const next = { ...prev };
+      delete next[key];
+      return next;
+    });
+  };
+
+  /**
+   * Removes the progress of every episode in a season.
+   * @param {string|number} showId - ID of the show.
+   * @param {number} season - Season number.
+   */
+  const resetSeason = (showId, season) => {
+    setProgress((prev) =>
+      Object.fromEntries(
+        Object.entries(prev).filter(
+          ([, entry]) =>
+            entry.showId !== String(showId) || entry.season !== season
+        )
+      )
+    );
+  };
+
+  /**
+   * Clears the whole listening history.
+   */
+  const resetAll = () => setProgress({});
+
+  const value = {
+    progress,
+    getProgress,
+    getStatus,
+    saveProgress,
+    markCompleted,
+    countCompleted,
+    resetEpisode,
+    resetSeason,
+    resetAll,
+  };
+
+  return (
+    <ListeningProgressContext.Provider value={value}>
+      {children}
+    </ListeningProgressContext.Provider>
+  );
+}
@@ -0,0 +1,30 @@
+import { createContext } from "react";
+import { formatDate as formatDateIn } from "../utils/formatDate";
+import { DEFAULT_LOCALE, translate } from "../i18n/translate";
+
+/**
+ * Builds the value exposed by the context for a given language.
+ *
+ * @param {string} locale - Language code.
+ * @param {Function} setLocale - Setter for the chosen language.
+ */
+export function createLocaleValue(locale, setLocale) {
+  return {
+    locale,
+    setLocale,
+    /** Translates a catalog key; see {@link translate}. */
+    t: (key, params) => translate(locale, key, params),
+    /** Formats an ISO date in the current language; see formatDate. */
+    formatDate: (isoString, options) =>
+      formatDateIn(isoString, { ...options, locale }),
+  };
+}
+
+/**
+ * React context for the UI language.
+ * Defaults to English, so components rendered outside a <LocaleProvider>
+ * (e.g. in isolation in tests) still get readable strings.
+ */
+export const LocaleContext = createContext(
+  createLocaleValue(DEFAULT_LOCALE, () => {})
+);
@@ -0,0 +1,44 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { LocaleContext, createLocaleValue } from "./LocaleContext";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
+import { LOCALES, resolveLocale } from "../i18n/translate";
+
+/** localStorage key the chosen language is persisted under. */
+const STORAGE_KEY = STORAGE_KEYS.locale;
+
+/**
+ * LocaleProvider holds the UI language. It starts from the language stored in
+ * localStorage or, failing that, the browser's preferred languages, and keeps
+ * the `lang` attribute of the <html> element in sync.
+ *
+ * @param {{children: React.ReactNode}} props
+ * @returns {JSX.Element}
+ */
+export function LocaleProvider({ children }) {
+  const [locale, setLocaleState] = useState(() =>
+    resolveLocale([
+      readStorage(STORAGE_KEY, null),
+      ...(navigator.languages || [navigator.language]),
+    ])
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  /**
+   * Switches the UI language and remembers the choice.
+   * @param {string} code - One of the codes in LOCALES.
+   */
+  const setLocale = useCallback((code) => {
+    if (!LOCALES.some((option) => option.code === code)) return;
+    writeStorage(STORAGE_KEY, code);
+    setLocaleState(code);
+  }, []);
+
+  return (
+    <LocaleContext.Provider value={createLocaleValue(locale, setLocale)}>
+      {children}
+    </LocaleContext.Provider>
+  );
+}
@@ -1,26 +1,104 @@
 import React, { createContext, useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { BROWSE_MODES, PAGE_SIZE_OPTIONS } from "../utils/browseModes";
+import { fuzzySearch } from "../utils/fuzzySearch";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
 
 /**
  * @typedef Podcast
- * @property {number} id - Unique identifier
+ * @property {string} id - Unique identifier
  * @property {string} title - Podcast title
- * @property {string} updated - Last updated ISO date string
+ * @property {string|null} updated - Last updated ISO date string, null if unknown
  * @property {number[]} genres - Array of genre IDs
  * @property {string} image - URL to podcast artwork
  * @property {number} seasons - Number of seasons
  */
 /**
- * Sorting options available to the user for viewing podcasts.
- * @type {{key: string, label: string}[]}
+ * Sorting options available to the user for viewing podcasts. Their labels
+ * live in the i18n catalogs under `sort.<key>`.
+ * @type {{key: string}[]}
  */
 export const SORT_OPTIONS = [
-  { key: "default", label: "Default" },
-  { key: "date-desc", label: "Newest" },
-  { key: "date-asc", label: "Oldest" },
-  { key: "title-asc", label: "Title A → Z" },
-  { key: "title-desc", label: "Title Z → A" },
+  { key: "relevance" },
+  { key: "default" },
+  { key: "date-desc" },
+  { key: "date-asc" },
+  { key: "title-asc" },
+  { key: "title-desc" },
 ];
 
+/** localStorage key the chosen browse mode is persisted under. */
+const BROWSE_MODE_STORAGE_KEY = STORAGE_KEYS.browseMode;
+
+/** localStorage key the chosen page size ("auto" or a number) is persisted under. */
+const PAGE_SIZE_STORAGE_KEY = STORAGE_KEYS.pageSize;
+
+/** Default sort order, used when the URL has no (or an unknown) `sort` value. */
+const DEFAULT_SORT = "date-desc";
+
+/** Sort order used by default while a search query is present. */
+const SEARCH_SORT = "relevance";
+
+/**
+ * Fields searched by the search box, with how much a match in each counts.
+ * @type {import("../utils/fuzzySearch").SearchField[]}
+ */
+const SEARCH_FIELDS = [
+  { get: (entry) => entry.podcast.title, weight: 3 },
+  { get: (entry) => entry.genreTitles, weight: 2 },
+  { get: (entry) => entry.podcast.description, weight: 1 },
+];
+
+/**
+ * @param {string} search - The current search query.
+ * @returns {string} The sort order used when none is chosen explicitly.
+ */
+function getDefaultSort(search) {
+  return search.trim() ? SEARCH_SORT : DEFAULT_SORT;
+}
+
+/**
+ * Reads the browsing state from the URL query string, falling back to the
+ * defaults for missing or invalid values.
+ *
+ * Supported parameters: `q` (search), `genre` (comma-separated genre IDs),
+ * `match` (`all` to require every selected genre, otherwise any), `sort` (one
+ * of {@link SORT_OPTIONS}) and `page` (1-based page number),
+ * e.g. `?q=crime&genre=2,5&match=all&sort=title-asc&page=3`. Without a
+ * `sort`, results are ordered by relevance while searching and by date
+ * otherwise.
+ *
+ * @param {URLSearchParams} params - The current query string.
+ * @returns {{search: string, selectedGenres: number[], genreMatch: string, sortKey: string, page: number}}
+ */
+function readQueryState(params) {
+  const sort = params.get("sort");
+  const genre = params.get("genre") || "";
+  const page = Number(params.get("page"));
+
+  const search = params.get("q") || "";
+  // Relevance only makes sense while searching.
+  const validSort =
+    SORT_OPTIONS.some((o) => o.key === sort) &&
+    (sort !== SEARCH_SORT || search.trim());
+
+  return {
+    search,
+    // Ignore anything that isn't a genre ID, and duplicates.
+    selectedGenres: [
+      ...new Set(
+        genre
+          .split(",")
+          .filter((id) => /^\d+$/.test(id))
+          .map(Number)
+      ),
+    ],
+    genreMatch: params.get("match") === "all" ? "all" : "any",
+    sortKey: validSort ? sort : getDefaultSort(search),
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+}
+
 /**
  * React context for sharing podcast state across components.
  * Must be used within a <PodcastProvider>.
@@ -31,19 +109,54 @@ export const PodcastContext = createContext();
  * PodcastProvider component wraps children in a context with state for
  * searching, sorting, filtering, and paginating podcast data.
  *
- * @param {{children: React.ReactNode, initialPodcasts: Podcast[]}} props
+ * Search, genre, sort and page live in the URL query string so they survive
+ * reloads, can be shared, and follow the browser's back/forward buttons.
+ * Changing the genres, sort or page adds a history entry; typing in the search
+ * box replaces the current one so every keystroke isn't a separate entry.
+ * The browse mode (paged or continuous) and page size are personal
+ * preferences and are kept in localStorage instead.
+ *
+ * @param {{children: React.ReactNode, initialPodcasts: Podcast[], genres?: {id: number, title: string}[], filterByGenre?: boolean}} props
+ * `genres` resolves genre IDs to titles so searches also match genre names.
+ * `filterByGenre` (default true) can be turned off for lists that are already
+ * limited to a genre and offer no genre filter, so a leftover `genre` or
+ * `match` parameter can't narrow them unseen.
  * @returns {JSX.Element}
  */
-export function PodcastProvider({ children, initialPodcasts }) {
-  const [search, setSearch] = useState("");
-  const [sortKey, setSortKey] = useState("date-desc");
-  const [genre, setGenre] = useState("all");
-  const [page, setPage] = useState(1);
-  const [pageSize, setPageSize] = useState(10);
+export function PodcastProvider({
+  children,
+  initialPodcasts,
+  genres = [],
+  filterByGenre = true,
+}) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryState = readQueryState(searchParams);
+  const { search, sortKey, page } = queryState;
+  const selectedGenres = filterByGenre ? queryState.selectedGenres : [];
+  const genreMatch = filterByGenre ? queryState.genreMatch : "any";
+  const [autoPageSize, setAutoPageSize] = useState(10);
+  const [pageSizeChoice, setPageSizeChoiceState] = useState(() => {
+    const stored = readStorage(PAGE_SIZE_STORAGE_KEY, "auto");
+    return PAGE_SIZE_OPTIONS.includes(stored) ? stored : "auto";
+  });
+  const pageSize = pageSizeChoice === "auto" ? autoPageSize : pageSizeChoice;
+  const [browseMode, setBrowseMode] = useState(() => {
+    const stored = readStorage(BROWSE_MODE_STORAGE_KEY, "paged");
+    return BROWSE_MODES.some((m) => m.key === stored) ? stored : "paged";
+  });
+
+  useEffect(() => {
+    writeStorage(BROWSE_MODE_STORAGE_KEY, browseMode);
+  }, [browseMode]);
+
+  useEffect(() => {
+    writeStorage(PAGE_SIZE_STORAGE_KEY, pageSizeChoice);
+  }, [pageSizeChoice]);
 
   /**
    * Dynamically calculate how many cards can fit on screen.
    * Sets a fixed 10 cards for tablet and smaller screens.
+   * Only used while the page size is set to "auto".
    */
   useEffect(() => {
     const calculatePageSize = () => {
@@ -51,7 +164,7 @@ export function PodcastProvider({ children, initialPodcasts }) {
 
       // Tablet and smaller (≤ 1024px): always show 10 cards
       if (screenW <= 1024) {
-        setPageSize(10);
+        setAutoPageSize(10);
         return;
       }
 
@@ -61,7 +174,7 @@ export function PodcastProvider({ children, initialPodcasts }) {
       const columns = Math.floor(screenW / cardWidth);
       const pageSize = columns * maxRows;
 
-      setPageSize(pageSize);
+      setAutoPageSize(pageSize);
     };
 
     calculatePageSize();
@@ -70,20 +183,134 @@ export function PodcastProvider({ children, initialPodcasts }) {
   }, []);
 
   /**
-   * Applies the current search query, genre filter, and sort key
-   * to the list of podcasts.
-   * @returns {Podcast[]} Filtered and sorted podcasts
+   * Writes browsing state changes to the query string. Default values are
+   * removed so the URL stays short.
+   *
+   * @param {Object<string, string|number|null>} changes - Parameters to set; `null` removes one.
+   * @param {{replace?: boolean, resetPage?: boolean}} [options]
+   */
+  const updateQuery = (
+    changes,
+    { replace = false, resetPage = false } = {}
+  ) => {
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        Object.entries(changes).forEach(([key, value]) => {
+          if (value === null || value === "") next.delete(key);
+          else next.set(key, String(value));
+        });
+        if (resetPage) next.delete("page");
+        return next;
+      },
+      { replace }
+    );
+  };
+
+  const setSearch = (value) => {
+    if (value === search) return;
+    updateQuery({ q: value }, { replace: true, resetPage: true });
+  };
+
+  /**
+   * Replaces the selected genres; an empty list clears the genre filter.
+   * @param {number[]} ids - Genre IDs to filter by.
    */
-  const applyFilters = () => {
+  const setSelectedGenres = (ids) => {
+    updateQuery(
+      { genre: ids.length ? [...ids].sort((a, b) => a - b).join(",") : null },
+      { resetPage: true }
+    );
+  };
+
+  /**
+   * Adds a genre to the selection, or removes it if already selected.
+   * @param {number} id - Genre ID.
+   */
+  const toggleGenre = (id) => {
+    setSelectedGenres(
+      selectedGenres.includes(id)
+        ? selectedGenres.filter((g) => g !== id)
+        : [...selectedGenres, id]
+    );
+  };
+
+  /**
+   * @param {"any"|"all"} value - Whether shows need any or all selected genres.
+   */
+  const setGenreMatch = (value) => {
+    if (value === genreMatch) return;
+    updateQuery(
+      { match: value === "all" ? "all" : null },
+      { resetPage: selectedGenres.length > 1 }
+    );
+  };
+
+  const setSortKey = (value) => {
+    if (value === sortKey) return;
+    updateQuery(
+      { sort: value === getDefaultSort(search) ? null : value },
+      { resetPage: true }
+    );
+  };
+
+  const setPage = (value) => {
+    if (value === page) return;
+    updateQuery({ page: value > 1 ? value : null });
+  };
+
+  /**
+   * Overrides the automatic page size, or returns to it with "auto". Stays on
+   * the page that contains the first show currently visible.
+   * @param {"auto"|number} value
+   */
+  const setPageSizeChoice = (value) => {
+    if (value === pageSizeChoice) return;
+    const nextSize = value === "auto" ? autoPageSize : value;
+    const firstIndex = (currentPage - 1) * pageSize;
+    setPageSizeChoiceState(value);
+    setPage(Math.floor(firstIndex / nextSize) + 1);
+  };
+
+  /**
+   * Applies the current search query (fuzzy, across title, description and
+   * genre titles) to the list of podcasts.
+   * @returns {Podcast[]} Matching podcasts, ranked by relevance when searching
+   */
+  const applySearch = () => {
     let data = [...initialPodcasts];
 
     if (search.trim()) {
-      const q = search.toLowerCase();
-      data = data.filter((p) => p.title.toLowerCase().includes(q));
+      const searchable = data.map((podcast) => ({
+        podcast,
+        genreTitles: podcast.genres
+          .map((id) => genres.find((g) => g.id === id)?.title)
+          .filter(Boolean)
+          .join(" "),
+      }));
+      // Results come back ranked by relevance, best first.
+      data = fuzzySearch(searchable, search, SEARCH_FIELDS).map(
+        ({ item }) => item.podcast
+      );
     }
 
-    if (genre !== "all") {
-      data = data.filter((p) => p.genres.includes(Number(genre)));
+    return data;
+  };
+
+  /**
+   * Applies the genre filter and sort key to the searched podcasts.
+   * @param {Podcast[]} searched - Podcasts matching the search query
+   * @returns {Podcast[]} Filtered and sorted podcasts
+   */
+  const applyFilters = (searched) => {
+    let data = [...searched];
+
+    if (selectedGenres.length) {
+      data = data.filter((p) =>
+        genreMatch === "all"
+          ? selectedGenres.every((id) => p.genres.includes(id))
+          : selectedGenres.some((id) => p.genres.includes(id))
+      );
     }
 
     switch (sortKey) {
@@ -99,6 +326,7 @@ export function PodcastProvider({ children, initialPodcasts }) {
       case "date-desc":
         data.sort((a, b) => new Date(b.updated) - new Date(a.updated));
         break;
+      case "relevance":
       case "default":
       default:
         break;
@@ -107,7 +335,20 @@ export function PodcastProvider({ children, initialPodcasts }) {
     return data;
   };
   /** @type {Podcast[]} */
-  const filtered = applyFilters();
+  const searched = applySearch();
+  /** @type {Podcast[]} */
+  const filtered = applyFilters(searched);
+
+  /**
+   * Number of shows matching the search in each genre, keyed by genre ID.
+   * @type {Object<number, number>}
+   */
+  const genreCounts = {};
+  searched.forEach((p) => {
+    p.genres.forEach((id) => {
+      genreCounts[id] = (genreCounts[id] || 0) + 1;
+    });
+  });
   const totalPages = Math.max(1, Math.ceil(filtered.length / pageSize));
   const currentPage = Math.min(page, totalPages);
   const paged = filtered.slice(
@@ -115,22 +356,28 @@ export function PodcastProvider({ children, initialPodcasts }) {
     currentPage * pageSize
   );
 
-  useEffect(() => {
-    setPage(1);
-  }, [search, sortKey, genre]);
-
   const value = {
     search,
     setSearch,
     sortKey,
     setSortKey,
-    genre,
-    setGenre,
+    selectedGenres,
+    setSelectedGenres,
+    toggleGenre,
+    genreMatch,
+    setGenreMatch,
+    genreCounts,
     page: currentPage,
     setPage,
     totalPages,
+    pageSize,
+    pageSizeChoice,
+    setPageSizeChoice,
     podcasts: paged,
+    filteredPodcasts: filtered,
     allPodcastsCount: filtered.length,
+    browseMode,
+    setBrowseMode,
   };
 
   return (
@@ -0,0 +1,174 @@
+import { useContext } from "react";
+import { act, render } from "@testing-library/react";
+import { MemoryRouter, useLocation } from "react-router-dom";
+import { describe, expect, it } from "vitest";
+import { PodcastContext, PodcastProvider } from "./PodcastContext";
+import { genres, shows } from "../test/mockApi";
+
+/** Latest context value and URL, captured by the probes below. */
+let ctx;
+let location;
+
+function Probe() {
+  ctx = useContext(PodcastContext);
+  location = useLocation();
+  return null;
+}
+
+/**
+ * @param {string} [route="/"] - Initial URL, e.g. with a query string.
+ * @param {Object} [props] - Extra props for the provider.
+ */
+function renderProvider(route = "/", props = {}) {
+  render(
+    <MemoryRouter initialEntries={[route]}>
+      <PodcastProvider initialPodcasts={shows} genres={genres} {...props}>
+        <Probe />
+      </PodcastProvider>
+    </MemoryRouter>
+  );
+}
+
+/** @returns {string[]} Titles of all shows matching the current state. */
+const titles = () => ctx.filteredPodcasts.map((p) => p.title);
+
+describe("PodcastProvider", () => {
+  it("lists every show, newest first, ten to a page by default", () => {
+    renderProvider();
+
+    expect(ctx.allPodcastsCount).toBe(shows.length);
+    expect(titles()[0]).toBe("Crime Junkie");
+    expect(titles().at(-1)).toBe("Kids Story Time");
+    expect(ctx.podcasts).toHaveLength(10);
+    expect(ctx.totalPages).toBe(2);
+  });
+
+  describe("search", () => {
+    it("ranks title matches first and tolerates typos", () => {
+      renderProvider();
+
+      act(() => ctx.setSearch("detectve"));
+      expect(titles()).toEqual(["Detective Trapp"]);
+      expect(ctx.sortKey).toBe("relevance");
+      expect(location.search).toBe("?q=detectve");
+    });
+
+    it("matches genre titles", () => {
+      renderProvider();
+
+      act(() => ctx.setSearch("comedy"));
+      expect(titles()).toEqual(
+        expect.arrayContaining(["Comedy Bang Bang", "Laugh Track"])
+      );
+      expect(titles()).toHaveLength(2);
+    });
+
+    it("counts the matching shows in each genre", () => {
+      renderProvider();
+
+      act(() => ctx.setSearch("stories"));
+      expect(ctx.genreCounts).toEqual({ 1: 2, 2: 1, 3: 1, 6: 1, 9: 1 });
+    });
+  });
+
+  describe("genre filter", () => {
+    it("matches any of the selected genres by default", () => {
+      renderProvider();
+
+      act(() => ctx.setSelectedGenres([3, 9]));
+      expect(titles().sort()).toEqual([
+        "History Hour",
+        "Kids Story Time",
+        "This Is Actually Happening",
+      ]);
+      expect(location.search).toBe("?genre=3%2C9");
+    });
+
+    it("can require all of the selected genres", () => {
+      renderProvider("/?genre=1,3");
+
+      act(() => ctx.setGenreMatch("all"));
+      expect(titles()).toEqual(["This Is Actually Happening"]);
+    });
+
+    it("toggles single genres on and off", () => {
+      renderProvider();
+
+      act(() => ctx.toggleGenre(4));
+      expect(ctx.selectedGenres).toEqual([4]);
+      act(() => ctx.toggleGenre(4));
+      expect(ctx.selectedGenres).toEqual([]);
+      expect(titles()).toHaveLength(shows.length);
+    });
+
+    it("ignores genres in the URL when genre filtering is off", () => {
+      renderProvider("/?genre=1,3&match=all", { filterByGenre: false });
+
+      expect(ctx.selectedGenres).toEqual([]);
+      expect(ctx.genreMatch).toBe("any");
+      expect(titles()).toHaveLength(shows.length);
+    });
+  });
+
+  describe("sorting", () => {
+    it.each([
+      ["title-asc", "Comedy Bang Bang"],
+      ["title-desc", "This Is Actually Happening"],
+      ["date-asc", "Kids Story Time"],
+      ["date-desc", "Crime Junkie"],
+    ])("sorts by %s", (key, first) => {
+      renderProvider();
+
+      act(() => ctx.setSortKey(key));
+      expect(titles()[0]).toBe(first);
+    });
+
+    it("ignores unknown sort keys in the URL", () => {
+      renderProvider("/?sort=bogus");
+      expect(ctx.sortKey).toBe("date-desc");
+    });
+  });
+
+  describe("pagination", () => {
+    it("moves between pages through the URL", () => {
+      renderProvider();
+
+      act(() => ctx.setPage(2));
+      expect(ctx.page).toBe(2);
+      expect(ctx.podcasts.map((p) => p.title)).toEqual(titles().slice(10));
+      expect(location.search).toBe("?page=2");
+    });
+
+    it("goes back to the first page when the filters change", () => {
+      renderProvider("/?page=2");
+
+      act(() => ctx.setSortKey("title-asc"));
+      expect(ctx.page).toBe(1);
+    });
+
+    it("clamps page numbers past the end", () => {
+      renderProvider("/?page=9");
+      expect(ctx.page).toBe(2);
+    });
+
+    it("lets the user choose the page size", () => {
+      renderProvider();
+
+      act(() => ctx.setPageSizeChoice(20));
+      expect(ctx.pageSize).toBe(20);
+      expect(ctx.totalPages).toBe(1);
+      expect(ctx.podcasts).toHaveLength(shows.length);
+    });
+  });
+
+  it("restores search, genres and sort from the URL", () => {
+    renderProvider("/?q=stories&genre=1&sort=title-asc");
+
+    expect(ctx.search).toBe("stories");
+    expect(ctx.selectedGenres).toEqual([1]);
+    expect(titles()).toEqual([
+      "Something Was Wrong",
+      "This Is Actually Happening",
+    ]);
+  });
+});
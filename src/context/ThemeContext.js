@@ -0,0 +1,7 @@
+import { createContext } from "react";
+
+/**
+ * React context for the colour theme.
+ * Must be used within a <ThemeProvider>.
+ */
+export const ThemeContext = createContext();
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from "react";
+import { ThemeContext } from "./ThemeContext";
+import { STORAGE_KEYS, readStorage, writeStorage } from "../utils/storage";
+
+/**
+ * localStorage key the theme choice is persisted under. The inline script in
+ * index.html reads it too, to apply the theme before the app has loaded.
+ */
+const STORAGE_KEY = STORAGE_KEYS.theme;
+
+/** Media query matching a system-wide dark colour scheme. */
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+/**
+ * @returns {"light"|"dark"} The colour scheme the operating system asks for.
+ */
+function getSystemTheme() {
+  return typeof window.matchMedia === "function" &&
+    window.matchMedia(DARK_QUERY).matches
+    ? "dark"
+    : "light";
+}
+
+/**
+ * ThemeProvider applies the light or dark theme by setting `data-theme` on
+ * the <html> element, which switches the CSS custom properties defined in
+ * index.css. Until the user picks a theme it follows the system preference,
+ * including changes while the app is open; an explicit choice is persisted
+ * to localStorage.
+ *
+ * @param {{children: React.ReactNode}} props
+ * @returns {JSX.Element}
+ */
+export function ThemeProvider({ children }) {
+  /** @type {["system"|"light"|"dark", Function]} */
+  const [preference, setPreference] = useState(() => {
+    const stored = readStorage(STORAGE_KEY, "system");
+    return stored === "light" || stored === "dark" ? stored : "system";
+  });
+  const [systemTheme, setSystemTheme] = useState(getSystemTheme);
+
+  const theme = preference === "system" ? systemTheme : preference;
+
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = () => setSystemTheme(getSystemTheme());
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, []);
+
+  useEffect(() => {
+    writeStorage(STORAGE_KEY, preference);
+  }, [preference]);
+
+  useEffect(() => {
+    document.documentElement.dataset.theme = theme;
+  }, [theme]);
+
+  /** Switches to the other theme, overriding the system preference. */
+  const toggleTheme = () => setPreference(theme === "dark" ? "light" : "dark");
+
+  const value = {
+    theme,
+    preference,
+    setPreference,
+    toggleTheme,
+  };
+
+  return (
+    <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+  );
+}
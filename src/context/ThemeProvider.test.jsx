@@ -0,0 +1,112 @@
+import { useContext } from "react";
+import { act, render } from "@testing-library/react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ThemeContext } from "./ThemeContext";
+import { ThemeProvider } from "./ThemeProvider";
+import { STORAGE_KEYS } from "../utils/storage";
+
+/** Latest context value, captured by the probe below. */
+let ctx;
+
+function Probe() {
+  ctx = useContext(ThemeContext);
+  return null;
+}
+
+/**
+ * Stands in for `window.matchMedia`, reporting the given system theme.
+ *
+ * @param {"light"|"dark"} theme - Colour scheme the system asks for.
+ * @returns {(theme: "light"|"dark") => void} Changes the system theme.
+ */
+function mockSystemTheme(theme) {
+  let dark = theme === "dark";
+  const listeners = new Set();
+  vi.stubGlobal("matchMedia", () => ({
+    get matches() {
+      return dark;
+    },
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+  }));
+  return (next) => {
+    dark = next === "dark";
+    listeners.forEach((listener) => listener());
+  };
+}
+
+const renderProvider = () =>
+  render(
+    <ThemeProvider>
+      <Probe />
+    </ThemeProvider>
+  );
+
+/** @returns {*} The theme preference stored in localStorage. */
+const storedTheme = () =>
+  JSON.parse(window.localStorage.getItem(STORAGE_KEYS.theme));
+
+describe("ThemeProvider", () => {
+  afterEach(() => {
+    delete document.documentElement.dataset.theme;
+  });
+
+  it("follows the system preference until a theme is picked", () => {
+    const setSystemTheme = mockSystemTheme("dark");
+    renderProvider();
+
+    expect(ctx.preference).toBe("system");
+    expect(ctx.theme).toBe("dark");
+    expect(document.documentElement.dataset.theme).toBe("dark");
+
+    act(() => setSystemTheme("light"));
+    expect(ctx.theme).toBe("light");
+    expect(document.documentElement.dataset.theme).toBe("light");
+  });
+
+  it("toggles to the other theme and remembers the choice", () => {
+    const setSystemTheme = mockSystemTheme("light");
+    renderProvider();
+
+    act(() => ctx.toggleTheme());
+    expect(ctx.preference).toBe("dark");
+    expect(document.documentElement.dataset.theme).toBe("dark");
+    expect(storedTheme()).toBe("dark");
+
+    // An explicit choice wins over the system preference.
+    act(() => setSystemTheme("light"));
+    expect(ctx.theme).toBe("dark");
+
+    act(() => ctx.toggleTheme());
+    expect(ctx.theme).toBe("light");
+    expect(storedTheme()).toBe("light");
+  });
+
+  it("restores a stored choice and ignores unknown values", () => {
+    mockSystemTheme("light");
+    window.localStorage.setItem(STORAGE_KEYS.theme, JSON.stringify("dark"));
+    const { unmount } = renderProvider();
+    expect(ctx.theme).toBe("dark");
+    unmount();
+
+    window.localStorage.setItem(STORAGE_KEYS.theme, JSON.stringify("sepia"));
+    renderProvider();
+    expect(ctx.preference).toBe("system");
+    expect(ctx.theme).toBe("light");
+  });
+
+  it("goes back to the system preference", () => {
+    mockSystemTheme("dark");
+    window.localStorage.setItem(STORAGE_KEYS.theme, JSON.stringify("light"));
+    renderProvider();
+
+    act(() => ctx.setPreference("system"));
+    expect(ctx.theme).toBe("dark");
+    expect(storedTheme()).toBe("system");
+  });
+
+  it("defaults to light where media queries aren't supported", () => {
+    renderProvider();
+    expect(ctx.theme).toBe("light");
+  });
+});
@@ -0,0 +1,83 @@
+import { useContext } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+import { useShortcuts } from "./useShortcuts";
+
+/** Marks podcast cards within a grid; see PodcastCard. */
+const CARD_SELECTOR = "[data-show-card]";
+
+/**
+ * @param {HTMLElement[]} cards - Rendered cards, in display order.
+ * @returns {number} How many cards share the first row.
+ */
+function countColumns(cards) {
+  const top = cards[0].getBoundingClientRect().top;
+  const columns = cards.findIndex(
+    (card) => card.getBoundingClientRect().top !== top
+  );
+  return columns === -1 ? cards.length : columns;
+}
+
+/**
+ * @function useCardNavigation
+ * Registers the shortcuts for browsing a grid of podcast cards: the arrow
+ * keys, `j` and `k` move focus between cards, and Enter opens the focused
+ * show. `j` or `k` focuses the first card when no card has focus; the arrow
+ * keys only act from a card, so elsewhere they still scroll the page.
+ *
+ * @param {{current: HTMLElement|null}} gridRef - The element holding the cards.
+ * @returns {void}
+ **/
+export function useCardNavigation(gridRef) {
+  const { t } = useContext(LocaleContext);
+
+  /**
+   * @param {(index: number, cards: HTMLElement[]) => number} getNext - Index
+   * of the card to focus, given the focused one's.
+   * @returns {(e: KeyboardEvent) => boolean} Moves focus; false when there
+   * is no card to go to.
+   */
+  const move = (getNext) => (e) => {
+    const cards = [...(gridRef.current?.querySelectorAll(CARD_SELECTOR) || [])];
+    if (!cards.length) return false;
+    const index = cards.indexOf(document.activeElement);
+    if (index === -1 && e.key.startsWith("Arrow")) return false;
+    const next = index === -1 ? 0 : getNext(index, cards);
+    if (next < 0 || next >= cards.length) return false;
+    cards[next].focus();
+  };
+
+  useShortcuts(
+    [
+      {
+        keys: ["ArrowRight", "j"],
+        description: t("shortcuts.nextShow"),
+        run: move((i) => i + 1),
+      },
+      {
+        keys: ["ArrowLeft", "k"],
+        description: t("shortcuts.previousShow"),
+        run: move((i) => i - 1),
+      },
+      {
+        keys: ["ArrowDown"],
+        description: t("shortcuts.showBelow"),
+        run: move((i, cards) => i + countColumns(cards)),
+      },
+      {
+        keys: ["ArrowUp"],
+        description: t("shortcuts.showAbove"),
+        run: move((i, cards) => i - countColumns(cards)),
+      },
+      {
+        keys: ["Enter"],
+        description: t("shortcuts.openShow"),
+        run: (e) => {
+          // Links and buttons inside the grid handle Enter themselves.
+          if (!e.target.matches(CARD_SELECTOR)) return false;
+          e.target.click();
+        },
+      },
+    ],
+    gridRef
+  );
+}
@@ -0,0 +1,198 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import {
+  getGenre,
+  getStaleSince,
+  peekCache,
+  request,
+  subscribe,
+} from "../api/podcastApi";
+import { cancelPrefetch, prefetchShow } from "../api/prefetch";
+import { genres as fallbackGenres } from "../data";
+
+/** How long a show must stay in view before its details are prefetched. */
+const VIEWPORT_PREFETCH_DELAY_MS = 1000;
+
+/**
+ * @typedef ApiResource
+ * @property {*} data - The response data, or null while loading / on error
+ * @property {boolean} loading - Whether the request is in progress
+ * @property {Error|null} error - The error of the last attempt, if any
+ * @property {Function} retry - Requests the resource again
+ */
+
+/**
+ * Loads an API path through the shared client and tracks its loading and
+ * error state. The request is aborted when the component unmounts or the
+ * path changes, so late responses never update unmounted components. When
+ * data served from the offline store is refreshed in the background, the
+ * fresh copy replaces it.
+ *
+ * @param {string|null} path - Request path, or null to skip loading.
+ * @returns {ApiResource}
+ */
+function useApiResource(path) {
+  const [state, setState] = useState(() => {
+    const cached = path ? peekCache(path) : undefined;
+    return {
+      data: cached ?? null,
+      loading: Boolean(path) && cached === undefined,
+      error: null,
+    };
+  });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!path) {
+      setState({ data: null, loading: false, error: null });
+      return;
+    }
+
+    const cached = peekCache(path);
+    if (cached !== undefined) {
+      setState({ data: cached, loading: false, error: null });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState({ data: null, loading: true, error: null });
+
+    request(path, { signal: controller.signal })
+      .then((data) => setState({ data, loading: false, error: null }))
+      .catch((err) => {
+        if (err.name === "AbortError") return;
+        console.error(`Failed to fetch ${path}:`, err);
+        setState({ data: null, loading: false, error: err });
+      });
+
+    return () => controller.abort();
+  }, [path, attempt]);
+
+  useEffect(() => {
+    if (!path) return;
+    return subscribe((changed) => {
+      if (changed !== path) return;
+      const cached = peekCache(path);
+      if (cached !== undefined) {
+        setState({ data: cached, loading: false, error: null });
+      }
+    }, path);
+  }, [path]);
+
+  const retry = () => setAttempt((n) => n + 1);
+
+  return { ...state, retry };
+}
+
+/**
+ * Loads all show previews from `/shows`.
+ * @returns {ApiResource}
+ */
+export function useShows() {
+  return useApiResource("/shows");
+}
+
+/**
+ * Loads a show with its seasons and episodes from `/id/:id`.
+ * @param {string|number|null} id - ID of the show, or null to skip loading.
+ * @returns {ApiResource}
+ */
+export function useShow(id) {
+  return useApiResource(id ? `/id/${id}` : null);
+}
+
+/**
+ * Prefetches a show's details (see `api/prefetch.js`) once its element has
+ * been in the viewport for a moment, and right away when the user points at
+ * it or focuses it.
+ *
+ * @param {string|number} id - ID of the show.
+ * @param {{current: HTMLElement|null}} ref - The element showing the show.
+ * @returns {{onMouseEnter: Function, onFocus: Function}} Handlers to spread
+ * onto the element.
+ */
+export function usePrefetchShow(id, ref) {
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === "undefined") return;
+
+    let timer;
+    const observer = new IntersectionObserver(([entry]) => {
+      clearTimeout(timer);
+      if (entry.isIntersecting) {
+        timer = setTimeout(() => prefetchShow(id), VIEWPORT_PREFETCH_DELAY_MS);
+      } else {
+        cancelPrefetch(id);
+      }
+    });
+    observer.observe(element);
+
+    return () => {
+      clearTimeout(timer);
+      observer.disconnect();
+      cancelPrefetch(id);
+    };
+  }, [id, ref]);
+
+  const prefetchNow = () => prefetchShow(id, { urgent: true });
+  return { onMouseEnter: prefetchNow, onFocus: prefetchNow };
+}
+
+/**
+ * Loads a genre from `/genre/:id`.
+ * @param {string|number|null} id - ID of the genre, or null to skip loading.
+ * @returns {ApiResource}
+ */
+export function useGenre(id) {
+  return useApiResource(id ? `/genre/${id}` : null);
+}
+
+/**
+ * Loads several genres from `/genre/:id`. Until a genre has loaded, or if it
+ * fails to load, its entry from the static `data.js` list is used instead.
+ * Genres known to neither are left out.
+ *
+ * @param {number[]} ids - IDs of the genres to load.
+ * @returns {{id: number, title: string, description: string, shows: string[]}[]}
+ * The genres sorted by ID.
+ */
+export function useGenres(ids) {
+  const idsKey = [...new Set(ids)].sort((a, b) => a - b).join(",");
+  const [loaded, setLoaded] = useState({});
+
+  useEffect(() => {
+    if (!idsKey) return;
+    const controller = new AbortController();
+
+    Promise.allSettled(
+      idsKey.split(",").map((id) => getGenre(id, { signal: controller.signal }))
+    ).then((results) => {
+      if (controller.signal.aborted) return;
+      const next = {};
+      results.forEach((result) => {
+        if (result.status === "fulfilled" && result.value?.id) {
+          const id = Number(result.value.id);
+          next[id] = { ...result.value, id };
+        }
+      });
+      setLoaded(next);
+    });
+
+    return () => controller.abort();
+  }, [idsKey]);
+
+  if (!idsKey) return fallbackGenres;
+
+  return idsKey
+    .split(",")
+    .map(Number)
+    .map((id) => loaded[id] || fallbackGenres.find((g) => g.id === id))
+    .filter(Boolean);
+}
+
+/**
+ * Tracks whether any data on screen is being served from the offline store.
+ * @returns {string|null} Save date (ISO string) of the oldest offline data, or null.
+ */
+export function useOfflineStatus() {
+  return useSyncExternalStore(subscribe, getStaleSince);
+}
@@ -0,0 +1,106 @@
+import { useEffect, useRef } from "react";
+
+/**
+ * @typedef Shortcut
+ * @property {string[]} keys - `KeyboardEvent.key` values that trigger it.
+ * @property {string} description - What it does, for the cheat-sheet.
+ * @property {(e: KeyboardEvent) => boolean|void} run - Performs the action.
+ * Returning false means it didn't apply, and the key keeps its usual effect.
+ */
+
+/**
+ * @typedef Registration
+ * @property {{current: Shortcut[]}} shortcuts - The latest shortcuts.
+ * @property {{current: HTMLElement|null}} [scopeRef] - Element of the
+ * component that registered them.
+ */
+
+/**
+ * Shortcuts of every mounted component, in registration order. A single
+ * document listener dispatches to them while any are registered.
+ * @type {Set<Registration>}
+ */
+const registry = new Set();
+
+/** Fields where keys are typed rather than used as shortcuts. */
+const TYPING_SELECTOR = "input, textarea, select, [contenteditable]";
+
+/**
+ * @param {Element|null} element
+ * @returns {Element|null} The dialog containing the element, if any.
+ */
+function getDialog(element) {
+  return element?.closest?.("[role='dialog']") || null;
+}
+
+/**
+ * Lists the shortcuts that apply where focus is. Shortcuts registered with a
+ * scope element only apply when focus is in the same dialog as that element
+ * (or, for elements on the page, in no dialog at all), so the page behind an
+ * open modal doesn't react to keys meant for the modal. Those registered
+ * without one apply everywhere.
+ *
+ * @param {Element|null} target - The focused element.
+ * @returns {Shortcut[]}
+ */
+export function getActiveShortcuts(target) {
+  const dialog = getDialog(target);
+  return [...registry]
+    .filter(({ scopeRef }) => {
+      if (!scopeRef) return true;
+      const element = scopeRef.current;
+      return Boolean(element?.isConnected) && getDialog(element) === dialog;
+    })
+    .flatMap(({ shortcuts }) => shortcuts.current);
+}
+
+/**
+ * Runs the first active shortcut for the pressed key. Keys typed into form
+ * fields and combinations with Ctrl, Alt or Meta are left alone.
+ *
+ * @param {KeyboardEvent} e
+ */
+function handleKeyDown(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.altKey || e.metaKey) return;
+  if (e.target.closest?.(TYPING_SELECTOR)) return;
+
+  const shortcut = getActiveShortcuts(e.target).find((s) =>
+    s.keys.includes(e.key)
+  );
+  if (shortcut && shortcut.run(e) !== false) e.preventDefault();
+}
+
+/**
+ * @function useShortcuts
+ * Registers keyboard shortcuts for as long as the component is mounted. They
+ * are also listed in the cheat-sheet (see {@link getActiveShortcuts}).
+ *
+ * @param {Shortcut[]} shortcuts - The shortcuts; may change between renders.
+ * @param {{current: HTMLElement|null}} [scopeRef] - An element of the
+ * component. The shortcuts only apply while focus is in the same dialog, or
+ * outside any dialog for elements on the page, and not while the element
+ * isn't rendered. Without it they apply everywhere.
+ * @returns {void}
+ **/
+export function useShortcuts(shortcuts, scopeRef) {
+  const shortcutsRef = useRef(shortcuts);
+
+  useEffect(() => {
+    shortcutsRef.current = shortcuts;
+  });
+
+  useEffect(() => {
+    const registration = { shortcuts: shortcutsRef, scopeRef };
+    registry.add(registration);
+    if (registry.size === 1) {
+      document.addEventListener("keydown", handleKeyDown);
+    }
+
+    return () => {
+      registry.delete(registration);
+      if (registry.size === 0) {
+        document.removeEventListener("keydown", handleKeyDown);
+      }
+    };
+  }, [scopeRef]);
+}
@@ -0,0 +1,241 @@
+/**
+ * English UI strings. `{name}` placeholders are filled in by `translate`;
+ * entries with `one`/`other` forms are picked by the `count` parameter.
+ * This catalog is the fallback for keys missing from other languages.
+ */
+const en = {
+  "app.title": "🎙️ Podcast App",
+  "common.backToAllShows": "Back to all shows",
+
+  "header.allShows": "All shows",
+  "header.favourites": "★ Favourites ({count})",
+  "header.resetHistory": "↺ Reset listening history",
+  "header.resetHistoryConfirm": "Reset listening progress for all episodes?",
+  "header.themeDark": "🌙 Dark",
+  "header.themeLight": "☀️ Light",
+  "header.switchToDark": "Switch to dark theme",
+  "header.switchToLight": "Switch to light theme",
+  "header.themeAuto": "Auto",
+  "header.followSystemTheme": "Follow the system theme",
+  "header.language": "Language",
+  "header.yourData": "⇅ Your data",
+
+  "search.placeholder": "Search podcasts…",
+
+  "sort.label": "Sort shows",
+  "sort.relevance": "Relevance",
+  "sort.default": "Default",
+  "sort.date-desc": "Newest",
+  "sort.date-asc": "Oldest",
+  "sort.title-asc": "Title A → Z",
+  "sort.title-desc": "Title Z → A",
+
+  "browseMode.label": "Browse mode",
+  "browseMode.paged": "Pages",
+  "browseMode.continuous": "Continuous",
+
+  "genreFilter.label": "Filter by genre",
+  "genreFilter.match": "Match",
+  "genreFilter.any": "Match any",
+  "genreFilter.all": "Match all",
+  "genreFilter.clear": "Clear genres ({count})",
+
+  "results.loading": "Loading podcasts...",
+  "results.error": "Error occurred while fetching podcasts: {message}",
+  "results.none": "No podcasts match your search or filters.",
+  "results.loadedSoFar": "Showing {loaded} of {total} shows, scroll for more…",
+  "results.allLoaded": {
+    one: "All {count} show shown.",
+    other: "All {count} shows shown.",
+  },
+
+  "pagination.label": "Pagination",
+  "pagination.summary": "Showing {first}–{last} of {total}",
+  "pagination.first": "First page",
+  "pagination.previous": "Previous page",
+  "pagination.next": "Next page",
+  "pagination.last": "Last page",
+  "pagination.jump": "Go to page",
+  "pagination.go": "Go",
+  "pagination.perPage": "Per page",
+  "pagination.auto": "Auto",
+
+  "show.seasons": {
+    one: "{count} season",
+    other: "{count} seasons",
+  },
+  "show.updated": "Updated {date}",
+  "show.dialogLabel": "Show {id}",
+  "show.loading": "Loading show {id}...",
+  "show.loadFailed": "Error: Failed to load show {id}: {message}",
+  "show.notFound": "Show not found",
+  "show.notFoundDetail": 'We couldn\'t find a show with the ID "{id}".',
+
+  "recommendations.heading": "More like this",
+
+  "genre.unknown": "Unknown ({id})",
+  "genrePage.back": "← All shows",
+  "genrePage.loading": "Loading genre {id}...",
+  "genrePage.notFound": "Genre not found",
+  "genrePage.loadFailed": "Failed to load genre {id}: {message}",
+  "genrePage.notFoundDetail": 'We couldn\'t find a genre with the ID "{id}".',
+
+  "modal.close": "Close dialog",
+
+  "shortcuts.heading": "Keyboard shortcuts",
+  "shortcuts.or": "or",
+  "shortcuts.help": "Show this list of shortcuts",
+  "shortcuts.search": "Search shows",
+  "shortcuts.nextShow": "Next show",
+  "shortcuts.previousShow": "Previous show",
+  "shortcuts.showBelow": "Show below",
+  "shortcuts.showAbove": "Show above",
+  "shortcuts.openShow": "Open the focused show",
+  "shortcuts.previousPage": "Previous page",
+  "shortcuts.nextPage": "Next page",
+  "shortcuts.previousSeason": "Previous season",
+  "shortcuts.nextSeason": "Next season",
+
+  "series.loading": "Loading episodes for series {id}...",
+  "series.loadFailed": "Error: Failed to load data for series {id}: {message}",
+  "series.retry": "Retry Loading Series {id}",
+  "series.searchPlaceholder": "Search episodes...",
+  "series.searchLabel": "Search episodes",
+  "series.hideEmptySeasons": "Hide seasons without matches",
+  "series.noMatches": 'No episodes match "{query}".',
+  "series.matchSummary": '{episodes} in {seasons} match "{query}".',
+  "series.episodeCount": {
+    one: "{count} episode",
+    other: "{count} episodes",
+  },
+  "series.seasonCount": {
+    one: "{count} season",
+    other: "{count} seasons",
+  },
+  "series.currentSeason": "Current season",
+  "series.season": "Season {number}",
+  "series.completed": "Completed:",
+  "series.matches": "Matches:",
+  "series.resetSeason": "Reset progress",
+  "series.resetSeasonTitle": "Reset listening progress for Season {number}",
+  "series.episodesIn": "Episodes in Season {number}",
+  "series.noSeasonMatches": "No episodes in Season {number} match your search",
+  "series.noEpisodes": "No episodes available for Season {number}",
+  "series.noSeasons": "No seasons available for this series.",
+
+  "episode.number": "Ep. {number}",
+  "episode.id": "Episode: {number}",
+  "episode.progress": "Listening progress",
+  "episode.completed": "✓ Completed",
+  "episode.inProgress": "In progress · {time} left",
+  "episode.reset": "Reset",
+  "episode.resetTitle": "Reset progress for this episode",
+  "episode.addFavourite": "Add to favourites",
+  "episode.removeFavourite": "Remove from favourites",
+  "episode.play": "▶ Play",
+  "episode.resume": "▶ Resume",
+  "episode.pause": "❚❚ Pause",
+  "episode.copyLink": "🔗 Copy link",
+  "episode.linkCopied": "✓ Link copied",
+  "episode.copyLinkTitle": "Copy a link to this episode",
+  "episode.copyLinkPrompt": "Copy this link to the episode:",
+
+  "scroller.jumpTo": "Jump to Season:",
+  "scroller.previous": "← Previous",
+  "scroller.previousTitle": "Previous Season",
+  "scroller.next": "Next →",
+  "scroller.nextTitle": "Next Season",
+  "scroller.select": "Select a season...",
+  "scroller.option": "Season {number} - {title}",
+  "scroller.current":
+    "Currently viewing: Season {number} ({position} of {total})",
+
+  "favourites.heading": "Favourite episodes",
+  "favourites.sortLabel": "Sort favourites",
+  "favourites.sort.added-desc": "Recently added",
+  "favourites.sort.added-asc": "Oldest added",
+  "favourites.sort.title-asc": "Show title A → Z",
+  "favourites.sort.title-desc": "Show title Z → A",
+  "favourites.empty":
+    "No favourites yet. Star an episode in a show to add it here.",
+  "favourites.added": "Added {date}",
+  "favourites.removeLabel": "Remove {title} from favourites",
+  "favourites.remove": "★ Remove",
+
+  "player.label": "Audio player",
+  "player.position": "S{season} E{episode}",
+  "player.back": "Back {seconds} seconds",
+  "player.forward": "Forward {seconds} seconds",
+  "player.play": "Play",
+  "player.pause": "Pause",
+  "player.seek": "Seek",
+  "player.speed": "Playback speed",
+  "player.volume": "Volume",
+  "player.close": "Close player",
+
+  "data.heading": "Your data",
+  "data.intro":
+    "Favourites, listening progress and settings are only stored in this browser. Back them up here, or take them to another browser.",
+  "data.exportHeading": "Export",
+  "data.exportDescription":
+    "Download your favourites, listening progress, expanded seasons and preferences as a JSON file.",
+  "data.exportButton": "Download backup",
+  "data.importHeading": "Import",
+  "data.importDescription":
+    "Merge a backup into the data in this browser. You'll see what changes before anything is imported.",
+  "data.importChoose": "Choose a backup file",
+  "data.error.invalid-json": "This file can't be read: it isn't valid JSON.",
+  "data.error.unknown-format": "This file isn't a Podcast App backup.",
+  "data.error.newer-version":
+    "This backup was made by a newer version of the app and can't be imported.",
+  "data.error.unreadable": "This file couldn't be read.",
+  "data.previewHeading": "Importing {file}",
+  "data.previewHeadingDated": "Importing {file}, exported on {date}",
+  "data.section.favourites": "Favourites",
+  "data.section.listeningProgress": "Listening progress",
+  "data.section.expandedSeasons": "Expanded seasons",
+  "data.section.preferences": "Preferences",
+  "data.sectionSummary":
+    "{added} new, {conflicts} different, {unchanged} already here.",
+  "data.sectionDropped": {
+    one: "{count} invalid entry will be skipped.",
+    other: "{count} invalid entries will be skipped.",
+  },
+  "data.conflicts": {
+    one: "{count} entry differs from the one in this browser:",
+    other: "{count} entries differ from the ones in this browser:",
+  },
+  "data.keepAllMine": "Keep all mine",
+  "data.takeAllTheirs": "Take all from backup",
+  "data.keepMine": "Keep mine: {value}",
+  "data.takeTheirs": "Take from backup: {value}",
+  "data.progressAt": "At {position} of {duration}",
+  "data.expandedSeasons": "Seasons {seasons} expanded",
+  "data.noExpandedSeasons": "All seasons collapsed",
+  "data.preference.theme": "Theme",
+  "data.preference.locale": "Language",
+  "data.preference.browseMode": "Browse mode",
+  "data.preference.pageSize": "Shows per page",
+  "data.theme.system": "System",
+  "data.theme.light": "Light",
+  "data.theme.dark": "Dark",
+  "data.nothingToImport": "Everything in this backup is already here.",
+  "data.importButton": "Import",
+  "data.cancel": "Cancel",
+  "data.imported": "Your data was imported.",
+  "data.opmlHeading": "Export a bookmark list",
+  "data.opmlDescription":
+    "Pick shows to save as an OPML list of links to their pages in this app. It isn't a subscription export: podcast apps can't subscribe to shows from it. Shows you have favourites or progress in are already selected.",
+  "data.opmlFilter": "Filter shows",
+  "data.selectAll": "Select all shown",
+  "data.selectNone": "Clear selection",
+  "data.opmlButton": {
+    one: "Download bookmarks ({count} show)",
+    other: "Download bookmarks ({count} shows)",
+  },
+  "data.opmlTitle": "Podcast App bookmarks",
+
+  "offline.banner": "📴 Offline – showing data from {date}",
+};
+
+export default en;
@@ -0,0 +1,245 @@
+/**
+ * Spanish UI strings. Keys missing here fall back to the English catalog.
+ */
+const es = {
+  "app.title": "🎙️ App de Podcasts",
+  "common.backToAllShows": "Volver a todos los programas",
+
+  "header.allShows": "Todos los programas",
+  "header.favourites": "★ Favoritos ({count})",
+  "header.resetHistory": "↺ Borrar historial de escucha",
+  "header.resetHistoryConfirm":
+    "¿Borrar el progreso de escucha de todos los episodios?",
+  "header.themeDark": "🌙 Oscuro",
+  "header.themeLight": "☀️ Claro",
+  "header.switchToDark": "Cambiar al tema oscuro",
+  "header.switchToLight": "Cambiar al tema claro",
+  "header.themeAuto": "Auto",
+  "header.followSystemTheme": "Usar el tema del sistema",
+  "header.language": "Idioma",
+  "header.yourData": "⇅ Tus datos",
+
+  "search.placeholder": "Buscar podcasts…",
+
+  "sort.label": "Ordenar programas",
+  "sort.relevance": "Relevancia",
+  "sort.default": "Predeterminado",
+  "sort.date-desc": "Más recientes",
+  "sort.date-asc": "Más antiguos",
+  "sort.title-asc": "Título A → Z",
+  "sort.title-desc": "Título Z → A",
+
+  "browseMode.label": "Modo de navegación",
+  "browseMode.paged": "Páginas",
+  "browseMode.continuous": "Continuo",
+
+  "genreFilter.label": "Filtrar por género",
+  "genreFilter.match": "Coincidencia",
+  "genreFilter.any": "Cualquiera",
+  "genreFilter.all": "Todos",
+  "genreFilter.clear": "Quitar géneros ({count})",
+
+  "results.loading": "Cargando podcasts...",
+  "results.error": "Error al cargar los podcasts: {message}",
+  "results.none": "Ningún podcast coincide con tu búsqueda o filtros.",
+  "results.loadedSoFar":
+    "Mostrando {loaded} de {total} programas, desplázate para ver más…",
+  "results.allLoaded": {
+    one: "Se muestra {count} programa.",
+    other: "Se muestran los {count} programas.",
+  },
+
+  "pagination.label": "Paginación",
+  "pagination.summary": "Mostrando {first}–{last} de {total}",
+  "pagination.first": "Primera página",
+  "pagination.previous": "Página anterior",
+  "pagination.next": "Página siguiente",
+  "pagination.last": "Última página",
+  "pagination.jump": "Ir a la página",
+  "pagination.go": "Ir",
+  "pagination.perPage": "Por página",
+  "pagination.auto": "Auto",
+
+  "show.seasons": {
+    one: "{count} temporada",
+    other: "{count} temporadas",
+  },
+  "show.updated": "Actualizado {date}",
+  "show.dialogLabel": "Programa {id}",
+  "show.loading": "Cargando el programa {id}...",
+  "show.loadFailed": "Error: no se pudo cargar el programa {id}: {message}",
+  "show.notFound": "Programa no encontrado",
+  "show.notFoundDetail": 'No encontramos ningún programa con el ID "{id}".',
+
+  "recommendations.heading": "Más como este",
+
+  "genre.unknown": "Desconocido ({id})",
+  "genrePage.back": "← Todos los programas",
+  "genrePage.loading": "Cargando el género {id}...",
+  "genrePage.notFound": "Género no encontrado",
+  "genrePage.loadFailed": "No se pudo cargar el género {id}: {message}",
+  "genrePage.notFoundDetail": 'No encontramos ningún género con el ID "{id}".',
+
+  "modal.close": "Cerrar diálogo",
+
+  "shortcuts.heading": "Atajos de teclado",
+  "shortcuts.or": "o",
+  "shortcuts.help": "Mostrar esta lista de atajos",
+  "shortcuts.search": "Buscar programas",
+  "shortcuts.nextShow": "Programa siguiente",
+  "shortcuts.previousShow": "Programa anterior",
+  "shortcuts.showBelow": "Programa de abajo",
+  "shortcuts.showAbove": "Programa de arriba",
+  "shortcuts.openShow": "Abrir el programa seleccionado",
+  "shortcuts.previousPage": "Página anterior",
+  "shortcuts.nextPage": "Página siguiente",
+  "shortcuts.previousSeason": "Temporada anterior",
+  "shortcuts.nextSeason": "Temporada siguiente",
+
+  "series.loading": "Cargando los episodios de la serie {id}...",
+  "series.loadFailed":
+    "Error: no se pudieron cargar los datos de la serie {id}: {message}",
+  "series.retry": "Reintentar cargar la serie {id}",
+  "series.searchPlaceholder": "Buscar episodios...",
+  "series.searchLabel": "Buscar episodios",
+  "series.hideEmptySeasons": "Ocultar temporadas sin resultados",
+  "series.noMatches": 'Ningún episodio coincide con "{query}".',
+  "series.matchSummary": '{episodes} en {seasons} coinciden con "{query}".',
+  "series.episodeCount": {
+    one: "{count} episodio",
+    other: "{count} episodios",
+  },
+  "series.seasonCount": {
+    one: "{count} temporada",
+    other: "{count} temporadas",
+  },
+  "series.currentSeason": "Temporada actual",
+  "series.season": "Temporada {number}",
+  "series.completed": "Completados:",
+  "series.matches": "Resultados:",
+  "series.resetSeason": "Borrar progreso",
+  "series.resetSeasonTitle":
+    "Borrar el progreso de escucha de la temporada {number}",
+  "series.episodesIn": "Episodios de la temporada {number}",
+  "series.noSeasonMatches":
+    "Ningún episodio de la temporada {number} coincide con tu búsqueda",
+  "series.noEpisodes": "No hay episodios en la temporada {number}",
+  "series.noSeasons": "Esta serie no tiene temporadas.",
+
+  "episode.number": "Ep. {number}",
+  "episode.id": "Episodio: {number}",
+  "episode.progress": "Progreso de escucha",
+  "episode.completed": "✓ Completado",
+  "episode.inProgress": "En curso · quedan {time}",
+  "episode.reset": "Borrar",
+  "episode.resetTitle": "Borrar el progreso de este episodio",
+  "episode.addFavourite": "Añadir a favoritos",
+  "episode.removeFavourite": "Quitar de favoritos",
+  "episode.play": "▶ Reproducir",
+  "episode.resume": "▶ Continuar",
+  "episode.pause": "❚❚ Pausa",
+  "episode.copyLink": "🔗 Copiar enlace",
+  "episode.linkCopied": "✓ Enlace copiado",
+  "episode.copyLinkTitle": "Copiar un enlace a este episodio",
+  "episode.copyLinkPrompt": "Copia este enlace al episodio:",
+
+  "scroller.jumpTo": "Ir a la temporada:",
+  "scroller.previous": "← Anterior",
+  "scroller.previousTitle": "Temporada anterior",
+  "scroller.next": "Siguiente →",
+  "scroller.nextTitle": "Temporada siguiente",
+  "scroller.select": "Elige una temporada...",
+  "scroller.option": "Temporada {number} - {title}",
+  "scroller.current": "Viendo: temporada {number} ({position} de {total})",
+
+  "favourites.heading": "Episodios favoritos",
+  "favourites.sortLabel": "Ordenar favoritos",
+  "favourites.sort.added-desc": "Añadidos recientemente",
+  "favourites.sort.added-asc": "Añadidos primero",
+  "favourites.sort.title-asc": "Programa A → Z",
+  "favourites.sort.title-desc": "Programa Z → A",
+  "favourites.empty":
+    "Aún no tienes favoritos. Marca un episodio con la estrella para añadirlo aquí.",
+  "favourites.added": "Añadido {date}",
+  "favourites.removeLabel": "Quitar {title} de favoritos",
+  "favourites.remove": "★ Quitar",
+
+  "player.label": "Reproductor de audio",
+  "player.position": "T{season} E{episode}",
+  "player.back": "Retroceder {seconds} segundos",
+  "player.forward": "Avanzar {seconds} segundos",
+  "player.play": "Reproducir",
+  "player.pause": "Pausa",
+  "player.seek": "Posición",
+  "player.speed": "Velocidad de reproducción",
+  "player.volume": "Volumen",
+  "player.close": "Cerrar reproductor",
+
+  "data.heading": "Tus datos",
+  "data.intro":
+    "Los favoritos, el progreso de escucha y los ajustes solo se guardan en este navegador. Haz una copia aquí o llévalos a otro navegador.",
+  "data.exportHeading": "Exportar",
+  "data.exportDescription":
+    "Descarga tus favoritos, tu progreso de escucha, las temporadas desplegadas y tus preferencias en un archivo JSON.",
+  "data.exportButton": "Descargar copia",
+  "data.importHeading": "Importar",
+  "data.importDescription":
+    "Combina una copia con los datos de este navegador. Verás qué cambia antes de importar nada.",
+  "data.importChoose": "Elige un archivo de copia",
+  "data.error.invalid-json":
+    "No se puede leer este archivo: no es un JSON válido.",
+  "data.error.unknown-format":
+    "Este archivo no es una copia de la App de Podcasts.",
+  "data.error.newer-version":
+    "Esta copia se hizo con una versión más reciente de la app y no se puede importar.",
+  "data.error.unreadable": "No se pudo leer este archivo.",
+  "data.previewHeading": "Importando {file}",
+  "data.previewHeadingDated": "Importando {file}, exportado el {date}",
+  "data.section.favourites": "Favoritos",
+  "data.section.listeningProgress": "Progreso de escucha",
+  "data.section.expandedSeasons": "Temporadas desplegadas",
+  "data.section.preferences": "Preferencias",
+  "data.sectionSummary":
+    "{added} nuevos, {conflicts} distintos, {unchanged} ya presentes.",
+  "data.sectionDropped": {
+    one: "Se omitirá {count} entrada no válida.",
+    other: "Se omitirán {count} entradas no válidas.",
+  },
+  "data.conflicts": {
+    one: "{count} entrada es distinta de la de este navegador:",
+    other: "{count} entradas son distintas de las de este navegador:",
+  },
+  "data.keepAllMine": "Conservar todo lo mío",
+  "data.takeAllTheirs": "Usar todo lo de la copia",
+  "data.keepMine": "Conservar lo mío: {value}",
+  "data.takeTheirs": "Usar la copia: {value}",
+  "data.progressAt": "En {position} de {duration}",
+  "data.expandedSeasons": "Temporadas {seasons} desplegadas",
+  "data.noExpandedSeasons": "Todas las temporadas plegadas",
+  "data.preference.theme": "Tema",
+  "data.preference.locale": "Idioma",
+  "data.preference.browseMode": "Modo de navegación",
+  "data.preference.pageSize": "Programas por página",
+  "data.theme.system": "Sistema",
+  "data.theme.light": "Claro",
+  "data.theme.dark": "Oscuro",
+  "data.nothingToImport": "Todo lo de esta copia ya está aquí.",
+  "data.importButton": "Importar",
+  "data.cancel": "Cancelar",
+  "data.imported": "Tus datos se importaron.",
+  "data.opmlHeading": "Exportar una lista de marcadores",
+  "data.opmlDescription":
+    "Elige programas para guardarlos como una lista OPML de enlaces a sus páginas en esta app. No es una exportación de suscripciones: las apps de podcasts no pueden suscribirse a los programas desde ella. Los programas con favoritos o progreso ya están seleccionados.",
+  "data.opmlFilter": "Filtrar programas",
+  "data.selectAll": "Seleccionar los mostrados",
+  "data.selectNone": "Quitar selección",
+  "data.opmlButton": {
+    one: "Descargar marcadores ({count} programa)",
+    other: "Descargar marcadores ({count} programas)",
+  },
+  "data.opmlTitle": "Marcadores de la App de Podcasts",
+
+  "offline.banner": "📴 Sin conexión – mostrando datos del {date}",
+};
+
+export default es;
@@ -0,0 +1,64 @@
+import en from "./en";
+import es from "./es";
+
+/**
+ * Languages the UI is available in.
+ * @type {{code: string, label: string}[]}
+ */
+export const LOCALES = [
+  { code: "en", label: "English" },
+  { code: "es", label: "Español" },
+];
+
+/** Language used when none of the user's preferred languages is available. */
+export const DEFAULT_LOCALE = "en";
+
+/** String catalogs by language code. */
+const catalogs = { en, es };
+
+/**
+ * Picks the first supported language from a list of preferred ones,
+ * matching on the language part only ("es-MX" → "es").
+ *
+ * @param {readonly string[]} preferred - BCP 47 tags, e.g. `navigator.languages`.
+ * @returns {string} A supported language code.
+ */
+export function resolveLocale(preferred) {
+  for (const tag of preferred || []) {
+    const code = String(tag).toLowerCase().split("-")[0];
+    if (catalogs[code]) return code;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * @function translate
+ * Looks up a UI string and fills in its `{name}` placeholders. Strings with
+ * plural forms choose one by `params.count`, following the language's plural
+ * rules. Missing keys fall back to English, then to the key itself.
+ *
+ * @param {string} locale - Language code, one of {@link LOCALES}.
+ * @param {string} key - Catalog key, e.g. `"show.seasons"`.
+ * @param {Object<string, string|number>} [params] - Placeholder values.
+ * @returns {string} The translated string.
+ **/
+export function translate(locale, key, params = {}) {
+  let entry = catalogs[locale]?.[key] ?? en[key];
+  if (entry === undefined) {
+    if (import.meta.env.DEV) console.warn(`Missing translation: "${key}"`);
+    return key;
+  }
+
+  if (typeof entry === "object") {
+    const form = new Intl.PluralRules(locale).select(Number(params.count));
+    entry = entry[form] ?? entry.other;
+  }
+
+  return entry.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params
+      ? typeof params[name] === "number"
+        ? params[name].toLocaleString(locale)
+        : String(params[name])
+      : match
+  );
+}
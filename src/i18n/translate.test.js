@@ -0,0 +1,41 @@
+import { describe, expect, it, vi } from "vitest";
+import { resolveLocale, translate } from "./translate";
+
+describe("translate", () => {
+  it("fills in placeholders", () => {
+    expect(
+      translate("en", "pagination.summary", { first: 1, last: 10, total: 12 })
+    ).toBe("Showing 1–10 of 12");
+    expect(translate("es", "show.loading", { id: "10716" })).toBe(
+      "Cargando el programa 10716..."
+    );
+  });
+
+  it("picks the plural form by count", () => {
+    expect(translate("en", "show.seasons", { count: 1 })).toBe("1 season");
+    expect(translate("en", "show.seasons", { count: 4 })).toBe("4 seasons");
+    expect(translate("es", "series.episodeCount", { count: 1 })).toBe(
+      "1 episodio"
+    );
+    expect(translate("es", "series.episodeCount", { count: 0 })).toBe(
+      "0 episodios"
+    );
+  });
+
+  it("falls back to English, then to the key", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    expect(translate("fr", "header.allShows")).toBe("All shows");
+    expect(translate("en", "no.such.key")).toBe("no.such.key");
+  });
+});
+
+describe("resolveLocale", () => {
+  it("picks the first supported language, ignoring regions", () => {
+    expect(resolveLocale(["fr-FR", "es-MX", "en"])).toBe("es");
+  });
+
+  it("defaults to English", () => {
+    expect(resolveLocale(["de"])).toBe("en");
+    expect(resolveLocale(undefined)).toBe("en");
+  });
+});
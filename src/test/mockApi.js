@@ -0,0 +1,77 @@
+import { vi } from "vitest";
+import { API_BASE_URL } from "../api/podcastApi";
+import shows from "./fixtures/shows.json";
+import showDetails from "./fixtures/show-details.json";
+import genres from "./fixtures/genres.json";
+
+/**
+ * Local stand-in for the podcast API. Replaces `fetch` with a mock that
+ * serves `/shows`, `/id/:id` and `/genre/:id` from the JSON fixtures, so tests
+ * never touch the network.
+ */
+
+/**
+ * @param {*} body - Response body, serialized as JSON.
+ * @param {number} [status=200] - HTTP status code.
+ * @returns {Response}
+ */
+export function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+/**
+ * Answers a request path from the fixtures. Unknown shows and genres get the
+ * 400 the real API answers with.
+ *
+ * @param {string} path - Request path, e.g. `/id/10716`.
+ * @returns {Response}
+ */
+function respondFromFixtures(path) {
+  if (path === "/shows") return jsonResponse(shows);
+
+  const show = path.match(/^\/id\/([^/]+)$/);
+  if (show) {
+    const detail = showDetails[show[1]];
+    return detail ? jsonResponse(detail) : jsonResponse({}, 400);
+  }
+
+  const genre = path.match(/^\/genre\/([^/]+)$/);
+  if (genre) {
+    const found = genres.find((g) => String(g.id) === genre[1]);
+    return found ? jsonResponse(found) : jsonResponse({}, 400);
+  }
+
+  return jsonResponse({ error: "Not found" }, 404);
+}
+
+/**
+ * Installs the fixture-backed `fetch`.
+ *
+ * @returns {{fetch: import("vitest").Mock, respondWith: (path: string, handler: () => Response|Promise<Response>) => void, requestedPaths: () => string[]}}
+ * `respondWith` overrides the answer for a path until it is called again
+ * with another handler; `requestedPaths` lists the paths fetched so far.
+ */
+export function mockApi() {
+  const overrides = new Map();
+
+  const fetchMock = vi.fn(async (url) => {
+    const path = String(url).replace(API_BASE_URL, "");
+    const override = overrides.get(path);
+    return override ? override() : respondFromFixtures(path);
+  });
+  vi.stubGlobal("fetch", fetchMock);
+
+  return {
+    fetch: fetchMock,
+    respondWith: (path, handler) => overrides.set(path, handler),
+    requestedPaths: () =>
+      fetchMock.mock.calls.map(([url]) =>
+        String(url).replace(API_BASE_URL, "")
+      ),
+  };
+}
+
+export { shows, showDetails, genres };
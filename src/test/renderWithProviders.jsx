@@ -0,0 +1,25 @@
+import { render } from "@testing-library/react";
+import { MemoryRouter } from "react-router-dom";
+import { AudioPlayerProvider } from "../context/AudioPlayerProvider";
+import { FavouritesProvider } from "../context/FavouritesProvider";
+import { ListeningProgressProvider } from "../context/ListeningProgressProvider";
+
+/**
+ * Renders a component inside a router and the app-wide providers it may
+ * depend on (listening progress, audio player and favourites), like App does.
+ *
+ * @param {JSX.Element} ui - The element to render.
+ * @param {{route?: string}} [options] - `route` is the initial URL.
+ * @returns {import("@testing-library/react").RenderResult}
+ */
+export function renderWithProviders(ui, { route = "/" } = {}) {
+  return render(
+    <MemoryRouter initialEntries={[route]}>
+      <ListeningProgressProvider>
+        <AudioPlayerProvider>
+          <FavouritesProvider>{ui}</FavouritesProvider>
+        </AudioPlayerProvider>
+      </ListeningProgressProvider>
+    </MemoryRouter>
+  );
+}
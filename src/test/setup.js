@@ -0,0 +1,20 @@
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterEach, vi } from "vitest";
+import { clearCache } from "../api/podcastApi";
+import { resetPrefetch } from "../api/prefetch";
+
+// jsdom doesn't implement scrolling.
+Element.prototype.scrollIntoView = vi.fn();
+window.scrollTo = vi.fn();
+
+afterEach(() => {
+  cleanup();
+  clearCache();
+  resetPrefetch();
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+  vi.unstubAllGlobals();
+  vi.clearAllMocks();
+  vi.restoreAllMocks();
+});
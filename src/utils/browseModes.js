@@ -0,0 +1,13 @@
+/**
+ * Ways of browsing through the results: numbered pages, or one continuous
+ * list that loads more shows while scrolling. Labels are under
+ * `browseMode.<key>` in the i18n catalogs.
+ * @type {{key: string}[]}
+ */
+export const BROWSE_MODES = [{ key: "paged" }, { key: "continuous" }];
+
+/**
+ * Page sizes the user can pick instead of the automatic, screen-based one.
+ * @type {number[]}
+ */
+export const PAGE_SIZE_OPTIONS = [10, 20, 40, 80];
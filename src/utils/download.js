@@ -0,0 +1,20 @@
+/**
+ * @function downloadFile
+ * Offers generated content to the user as a file download.
+ *
+ * @param {string} filename - Suggested file name, e.g. "podcasts.opml".
+ * @param {string} content - File contents.
+ * @param {string} type - MIME type of the contents.
+ * @returns {void}
+ **/
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  // Revoke once the browser has picked up the click.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,14 @@
+/**
+ * @function getEpisodeKey
+ * Builds the key that identifies a single episode across the app
+ * (audio player, favourites, listening progress).
+ * Example output: "10716-2-7".
+ *
+ * @param {string|number} showId - ID of the show.
+ * @param {number} season - Season number.
+ * @param {number} episode - Episode number.
+ * @returns {string} The episode key.
+ **/
+export function getEpisodeKey(showId, season, episode) {
+  return `${showId}-${season}-${episode}`;
+}
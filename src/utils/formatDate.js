@@ -1,14 +1,46 @@
+/**
+ * Largest-first units used for relative dates, with their length in seconds.
+ * Months and years are averaged, which is plenty for "3 months ago".
+ * @type {[Intl.RelativeTimeFormatUnit, number][]}
+ */
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 60 * 60],
+  ["month", 30 * 24 * 60 * 60],
+  ["week", 7 * 24 * 60 * 60],
+  ["day", 24 * 60 * 60],
+  ["hour", 60 * 60],
+  ["minute", 60],
+  ["second", 1],
+];
+
 /**
  * @function formatDate
  * Converts an ISO date string into a human-readable, localized date string.
- * Example output: "July 7, 2025".
+ * Example output: "July 7, 2025", or "3 days ago" in relative mode.
  *
  * @param {string} isoString - A valid ISO 8601 date string (e.g., "2025-07-07T12:34:56Z").
- * @returns {string} Formatted date string in the user's local language and format.
+ * @param {Object} [options]
+ * @param {string} [options.locale] - BCP 47 locale, e.g. "es"; defaults to the browser's.
+ * @param {boolean} [options.relative=false] - Describe the date relative to `now`
+ * ("3 days ago", "yesterday") instead of as a calendar date.
+ * @param {Date} [options.now] - Reference time for relative dates; defaults to the current time.
+ * @returns {string} Formatted date string in the requested (or the user's) language and format.
  **/
-export function formatDate(isoString) {
+export function formatDate(isoString, { locale, relative = false, now } = {}) {
   const date = new Date(isoString);
-  return date.toLocaleDateString(undefined, {
+
+  if (relative && !Number.isNaN(date.getTime())) {
+    const seconds = (date.getTime() - (now ?? new Date()).getTime()) / 1000;
+    const [unit, size] =
+      RELATIVE_UNITS.find(([, length]) => Math.abs(seconds) >= length) ||
+      RELATIVE_UNITS[RELATIVE_UNITS.length - 1];
+    return new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(
+      Math.round(seconds / size),
+      unit
+    );
+  }
+
+  return date.toLocaleDateString(locale, {
     year: "numeric",
     month: "long",
     day: "numeric",
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { formatDate } from "./formatDate";
+
+describe("formatDate", () => {
+  it("formats an ISO date as a long, readable date", () => {
+    expect(formatDate("2025-07-07T12:34:56Z")).toBe("July 7, 2025");
+  });
+
+  it("formats dates in other months and years", () => {
+    expect(formatDate("2022-11-03T12:00:00.000Z")).toBe("November 3, 2022");
+  });
+
+  it("reports unparsable input instead of throwing", () => {
+    expect(formatDate("not a date")).toBe("Invalid Date");
+  });
+
+  it("formats dates in the given locale", () => {
+    expect(formatDate("2025-07-07T12:34:56Z", { locale: "es" })).toBe(
+      "7 de julio de 2025"
+    );
+  });
+
+  describe("relative mode", () => {
+    const now = new Date("2025-07-10T12:00:00Z");
+
+    it("describes the date in the largest fitting unit", () => {
+      expect(formatDate("2025-07-07T12:00:00Z", { relative: true, now })).toBe(
+        "3 days ago"
+      );
+      expect(formatDate("2025-04-01T12:00:00Z", { relative: true, now })).toBe(
+        "3 months ago"
+      );
+      expect(formatDate("2022-11-03T12:00:00Z", { relative: true, now })).toBe(
+        "3 years ago"
+      );
+    });
+
+    it("uses words like yesterday where the locale has them", () => {
+      const yesterday = "2025-07-09T12:00:00Z";
+      expect(formatDate(yesterday, { relative: true, now })).toBe("yesterday");
+      expect(formatDate(yesterday, { locale: "es", relative: true, now })).toBe(
+        "ayer"
+      );
+    });
+
+    it("falls back to the absolute format for unparsable input", () => {
+      expect(formatDate("not a date", { relative: true, now })).toBe(
+        "Invalid Date"
+      );
+    });
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * @function formatTime
+ * Converts a duration in seconds into a clock-style string.
+ * Example output: "4:05" or "1:02:09".
+ *
+ * @param {number} totalSeconds - Duration in seconds.
+ * @returns {string} Formatted time, or "0:00" for invalid input.
+ **/
+export function formatTime(totalSeconds) {
+  if (!Number.isFinite(totalSeconds) || totalSeconds < 0) return "0:00";
+
+  const seconds = Math.floor(totalSeconds % 60);
+  const minutes = Math.floor((totalSeconds / 60) % 60);
+  const hours = Math.floor(totalSeconds / 3600);
+  const pad = (n) => String(n).padStart(2, "0");
+
+  return hours > 0
+    ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+    : `${minutes}:${pad(seconds)}`;
+}
@@ -0,0 +1,220 @@
+/**
+ * Small fuzzy full-text search used to rank shows (and episodes) against a
+ * free-text query. Every word of the query has to match one of the searched
+ * fields, either as a substring or as a word with a few typos.
+ */
+
+/**
+ * Lowercases text and strips accents so "Café" matches "cafe".
+ * @param {string} text
+ * @returns {string}
+ */
+function normalize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+/**
+ * @function tokenize
+ * Splits a search query into normalized words.
+ *
+ * @param {string} query - The raw search query.
+ * @returns {string[]} The query words.
+ **/
+export function tokenize(query) {
+  return normalize(query).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * How many typos a query word may contain: none for short words, where a
+ * single typo would match almost anything.
+ *
+ * @param {string} token - A query word.
+ * @returns {number} The allowed edit distance.
+ */
+function allowedTypos(token) {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+}
+
+/**
+ * Levenshtein edit distance, giving up early once `max` is exceeded.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest.
+ * @returns {number} The distance, or `max + 1` if it is larger than `max`.
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * @function matchWord
+ * Scores how well a single query word matches a single word of text.
+ *
+ * @param {string} token - A normalized query word.
+ * @param {string} word - A normalized word of the searched text.
+ * @returns {number} 1 for an exact word, 0.9 for a prefix, 0.7 for a
+ * substring, 0.5 or less for a match with typos, and 0 for no match.
+ **/
+export function matchWord(token, word) {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.9;
+  if (word.includes(token)) return 0.7;
+
+  const max = allowedTypos(token);
+  if (max === 0) return 0;
+
+  // Compare against the word and against its start, so typos in a
+  // partially typed word still match ("detectiv" → "detectives").
+  const distance = Math.min(
+    editDistance(token, word, max),
+    editDistance(token, word.slice(0, token.length), max)
+  );
+  return distance <= max ? 0.5 - 0.1 * distance : 0;
+}
+
+/**
+ * Scores a query word against a block of text.
+ *
+ * @param {string} token - A normalized query word.
+ * @param {string} text - The normalized text.
+ * @param {string[]} words - The words of the normalized text.
+ * @returns {number} The best score of the word in the text.
+ */
+function scoreToken(token, text, words) {
+  const best = words.reduce(
+    (max, word) => Math.max(max, matchWord(token, word)),
+    0
+  );
+  return text.includes(token) ? Math.max(best, 0.7) : best;
+}
+
+/**
+ * @typedef SearchField
+ * @property {(item: *) => string} get - Reads the field's text from an item
+ * @property {number} weight - How much a match in this field counts
+ */
+
+/**
+ * @function fuzzySearch
+ * Filters items to those matching every word of the query and ranks them by
+ * relevance, best first. Items with equal scores keep their original order.
+ *
+ * @param {Array<*>} items - The items to search.
+ * @param {string} query - The raw search query.
+ * @param {SearchField[]} fields - The fields to search and their weights.
+ * @returns {{item: *, score: number}[]} The matching items with their scores.
+ **/
+export function fuzzySearch(items, query, fields) {
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return items.map((item) => ({ item, score: 0 }));
+
+  const results = [];
+  items.forEach((item) => {
+    const texts = fields.map((field) => {
+      const text = normalize(field.get(item));
+      return { text, words: text.match(/[\p{L}\p{N}']+/gu) || [] };
+    });
+
+    let score = 0;
+    for (const token of tokens) {
+      const best = fields.reduce(
+        (max, field, i) =>
+          Math.max(
+            max,
+            scoreToken(token, texts[i].text, texts[i].words) * field.weight
+          ),
+        0
+      );
+      if (best === 0) return;
+      score += best;
+    }
+    results.push({ item, score });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @function getHighlightSegments
+ * Splits text into segments, flagging the parts that match the query so they
+ * can be highlighted: exact substrings of query words, and whole words that
+ * match a query word with typos.
+ *
+ * @param {string} text - The text to display.
+ * @param {string} query - The raw search query.
+ * @returns {{text: string, match: boolean}[]} Segments in display order.
+ **/
+export function getHighlightSegments(text, query) {
+  const value = String(text ?? "");
+  const tokens = tokenize(query);
+  if (!value || tokens.length === 0) return [{ text: value, match: false }];
+
+  const lower = normalize(value);
+  // Stripping accents changes lengths, so only use the normalized text for
+  // positions when it still lines up with the original.
+  const sameLength = lower.length === value.length;
+  const ranges = [];
+
+  if (sameLength) {
+    tokens.forEach((token) => {
+      let index = lower.indexOf(token);
+      while (index !== -1) {
+        ranges.push([index, index + token.length]);
+        index = lower.indexOf(token, index + token.length);
+      }
+    });
+  }
+
+  for (const found of value.matchAll(/[\p{L}\p{N}']+/gu)) {
+    const word = normalize(found[0]);
+    const fuzzy = tokens.some((token) => {
+      const score = matchWord(token, word);
+      return sameLength ? score > 0 && score <= 0.5 : score > 0;
+    });
+    if (fuzzy) ranges.push([found.index, found.index + found[0].length]);
+  }
+
+  if (ranges.length === 0) return [{ text: value, match: false }];
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [ranges[0]];
+  ranges.slice(1).forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  });
+
+  const segments = [];
+  let cursor = 0;
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: value.slice(cursor, start), match: false });
+    }
+    segments.push({ text: value.slice(start, end), match: true });
+    cursor = end;
+  });
+  if (cursor < value.length) {
+    segments.push({ text: value.slice(cursor), match: false });
+  }
+  return segments;
+}
@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+import {
+  fuzzySearch,
+  getHighlightSegments,
+  matchWord,
+  tokenize,
+} from "./fuzzySearch";
+
+/** Searches plain strings. */
+const FIELDS = [{ get: (text) => text, weight: 1 }];
+
+/**
+ * @param {string[]} items
+ * @param {string} query
+ * @returns {string[]} The matching items, best first.
+ */
+const search = (items, query) =>
+  fuzzySearch(items, query, FIELDS).map(({ item }) => item);
+
+describe("tokenize", () => {
+  it("lowercases, strips accents and splits on whitespace", () => {
+    expect(tokenize("  Café  CRIME\tjunkie ")).toEqual([
+      "cafe",
+      "crime",
+      "junkie",
+    ]);
+    expect(tokenize("   ")).toEqual([]);
+  });
+});
+
+describe("matchWord", () => {
+  it("scores exact words above prefixes above substrings", () => {
+    expect(matchWord("crime", "crime")).toBe(1);
+    expect(matchWord("crim", "crime")).toBe(0.9);
+    expect(matchWord("rime", "crime")).toBe(0.7);
+  });
+
+  it("tolerates a typo in words of four to six letters", () => {
+    expect(matchWord("crine", "crime")).toBeCloseTo(0.4);
+    expect(matchWord("cirne", "crime")).toBe(0);
+  });
+
+  it("tolerates two typos in longer words", () => {
+    expect(matchWord("detectve", "detective")).toBeCloseTo(0.4);
+    expect(matchWord("detcetive", "detective")).toBeCloseTo(0.3);
+    expect(matchWord("dtcetive", "detective")).toBe(0);
+  });
+
+  it("doesn't allow typos in words of up to three letters", () => {
+    expect(matchWord("cat", "cut")).toBe(0);
+    expect(matchWord("cat", "cats")).toBe(0.9);
+  });
+
+  it("matches typos in partly typed words", () => {
+    expect(matchWord("detectiv", "detectives")).toBe(0.9);
+    expect(matchWord("detektiv", "detectives")).toBeCloseTo(0.4);
+  });
+});
+
+describe("fuzzySearch", () => {
+  const items = [
+    "The Daily",
+    "Daily Detective Stories",
+    "Crime Junkie",
+    "Dailies and more",
+  ];
+
+  it("returns every item, unscored, for an empty query", () => {
+    expect(fuzzySearch(items, " ", FIELDS)).toEqual(
+      items.map((item) => ({ item, score: 0 }))
+    );
+  });
+
+  it("requires every query word to match", () => {
+    expect(search(items, "daily detective")).toEqual([
+      "Daily Detective Stories",
+    ]);
+    expect(search(items, "daily podcast")).toEqual([]);
+  });
+
+  it("ranks exact words, then prefixes, then typos", () => {
+    expect(search(["Dailies", "Daly", "Daily"], "daily")).toEqual([
+      "Daily",
+      "Dailies",
+      "Daly",
+    ]);
+  });
+
+  it("keeps the original order of equal scores", () => {
+    expect(search(items, "daily")).toEqual([
+      "The Daily",
+      "Daily Detective Stories",
+      "Dailies and more",
+    ]);
+  });
+
+  it("weighs matches by field", () => {
+    const shows = [
+      { title: "Morning Brief", description: "Crime news" },
+      { title: "Crime Time", description: "Weekly stories" },
+    ];
+    const results = fuzzySearch(shows, "crime", [
+      { get: (show) => show.title, weight: 3 },
+      { get: (show) => show.description, weight: 1 },
+    ]);
+    expect(results.map(({ item }) => item.title)).toEqual([
+      "Crime Time",
+      "Morning Brief",
+    ]);
+    expect(results.map(({ score }) => score)).toEqual([3, 1]);
+  });
+});
+
+describe("getHighlightSegments", () => {
+  it("flags exact and fuzzy matches", () => {
+    expect(getHighlightSegments("Crime Junkie", "junk crme")).toEqual([
+      { text: "Crime", match: true },
+      { text: " ", match: false },
+      { text: "Junk", match: true },
+      { text: "ie", match: false },
+    ]);
+  });
+
+  it("leaves text alone without a query", () => {
+    expect(getHighlightSegments("Crime Junkie", "")).toEqual([
+      { text: "Crime Junkie", match: false },
+    ]);
+  });
+});
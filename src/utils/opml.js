@@ -0,0 +1,51 @@
+/**
+ * Escapes text for use in an XML attribute value.
+ * @param {*} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * @function buildOpml
+ * Builds an OPML 2.0 bookmark list of shows. The podcast API doesn't
+ * provide RSS feeds, so each show is a `link` outline pointing at its page
+ * in this app; podcast apps can't subscribe to shows from the list.
+ *
+ * @param {import("../context/PodcastContext").Podcast[]} shows - The shows to list.
+ * @param {Object} options
+ * @param {string} options.title - Title of the list.
+ * @param {string} options.appUrl - Absolute URL of the app, without trailing slash.
+ * @param {Date} [options.now] - Creation time of the document.
+ * @returns {string} The OPML document.
+ **/
+export function buildOpml(shows, { title, appUrl, now = new Date() }) {
+  const outlines = shows.map(
+    (show) =>
+      `    <outline type="link" text="${escapeXml(show.title)}" title="${escapeXml(
+        show.title
+      )}" description="${escapeXml(show.description)}" url="${escapeXml(
+        `${appUrl}/show/${show.id}`
+      )}"/>`
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    "  <head>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${now.toUTCString()}</dateCreated>`,
+    "  </head>",
+    "  <body>",
+    ...outlines,
+    "  </body>",
+    "</opml>",
+    "",
+  ].join("\n");
+}
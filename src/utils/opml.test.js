@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { buildOpml } from "./opml";
+
+describe("buildOpml", () => {
+  const options = {
+    title: "My shows",
+    appUrl: "https://example.com/app",
+    now: new Date("2025-04-01T08:00:00.000Z"),
+  };
+
+  it("lists each show as a link to its page in the app", () => {
+    const opml = buildOpml(
+      [
+        { id: 10716, title: "Something Was Wrong", description: "Stories" },
+        { id: "7654", title: "Another Show", description: "More" },
+      ],
+      options
+    );
+
+    expect(opml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+    expect(opml).toContain("<title>My shows</title>");
+    expect(opml).toContain(
+      "<dateCreated>Tue, 01 Apr 2025 08:00:00 GMT</dateCreated>"
+    );
+    expect(opml).toContain(
+      '<outline type="link" text="Something Was Wrong" title="Something Was Wrong" description="Stories" url="https://example.com/app/show/10716"/>'
+    );
+    expect(opml).toContain('url="https://example.com/app/show/7654"');
+  });
+
+  it("escapes XML special characters", () => {
+    const opml = buildOpml(
+      [{ id: 1, title: `Tom & Jerry's <"Show">`, description: undefined }],
+      { ...options, title: "Mine & yours" }
+    );
+
+    expect(opml).toContain("<title>Mine &amp; yours</title>");
+    expect(opml).toContain(
+      'text="Tom &amp; Jerry&apos;s &lt;&quot;Show&quot;&gt;"'
+    );
+    expect(opml).toContain('description=""');
+  });
+
+  it("builds an empty body when no shows are given", () => {
+    expect(buildOpml([], options)).toContain("  <body>\n  </body>");
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * Export and import of everything the app stores about the user: favourites,
+ * listening progress, expanded seasons and preferences. Backups are
+ * versioned JSON files; importing validates them, compares them with the
+ * current data and merges them entry by entry.
+ */
+import { BROWSE_MODES, PAGE_SIZE_OPTIONS } from "./browseModes";
+import { LOCALES } from "../i18n/translate";
+import { getEpisodeKey } from "./episodeKey";
+import { STORAGE_KEYS, readStorage, writeStorage } from "./storage";
+
+/** Identifies JSON files made by {@link createBackup}. */
+export const BACKUP_FORMAT = "podcast-app-backup";
+
+/**
+ * Current backup layout. Bump it when the layout changes, and teach
+ * {@link parseBackup} to read the older versions.
+ */
+export const BACKUP_VERSION = 1;
+
+/**
+ * Error thrown for files that can't be imported at all. `code` names the
+ * problem so the UI can explain it in the user's language.
+ */
+export class BackupError extends Error {
+  /**
+   * @param {"invalid-json"|"unknown-format"|"newer-version"} code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = "BackupError";
+    this.code = code;
+  }
+}
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isDate = (value) =>
+  typeof value === "string" && !Number.isNaN(Date.parse(value));
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * @param {*} fav
+ * @returns {import("../context/FavouritesContext").Favourite|null} The
+ * favourite with only the known fields, or null if it is malformed.
+ */
+function validateFavourite(fav) {
+  if (!isObject(fav)) return null;
+  const { key, showId, showTitle, season, episode, title, addedAt } = fav;
+  const valid =
+    (typeof showId === "string" || isNumber(showId)) &&
+    isNumber(season) &&
+    isNumber(episode) &&
+    key === getEpisodeKey(showId, season, episode) &&
+    typeof showTitle === "string" &&
+    typeof title === "string" &&
+    isDate(addedAt);
+  return valid
+    ? {
+        key,
+        showId: String(showId),
+        showTitle,
+        season,
+        episode,
+        title,
+        addedAt,
+      }
+    : null;
+}
+
+/**
+ * @param {*} entry
+ * @param {string} key - Episode key the entry is stored under.
+ * @returns {import("../context/ListeningProgressContext").EpisodeProgress|null}
+ */
+function validateProgress(entry, key) {
+  if (!isObject(entry)) return null;
+  const { showId, season, position, duration, completed, updatedAt } = entry;
+  const valid =
+    (typeof showId === "string" || isNumber(showId)) &&
+    isNumber(season) &&
+    key.startsWith(`${showId}-${season}-`) &&
+    isNumber(position) &&
+    position >= 0 &&
+    isNumber(duration) &&
+    duration > 0 &&
+    typeof completed === "boolean" &&
+    isDate(updatedAt);
+  return valid
+    ? {
+        showId: String(showId),
+        season,
+        position,
+        duration,
+        completed,
+        updatedAt,
+      }
+    : null;
+}
+
+/**
+ * @param {*} seasons
+ * @returns {number[]|null} Expanded season numbers of a show.
+ */
+function validateSeasonList(seasons) {
+  return Array.isArray(seasons) &&
+    seasons.every((n) => Number.isInteger(n) && n > 0)
+    ? [...new Set(seasons)]
+    : null;
+}
+
+/**
+ * Preferences and the values each accepts.
+ * @type {Object<string, {storageKey: string, accepts: Function}>}
+ */
+const PREFERENCES = {
+  theme: {
+    storageKey: STORAGE_KEYS.theme,
+    accepts: (value) => ["system", "light", "dark"].includes(value),
+  },
+  locale: {
+    storageKey: STORAGE_KEYS.locale,
+    accepts: (value) => LOCALES.some((locale) => locale.code === value),
+  },
+  browseMode: {
+    storageKey: STORAGE_KEYS.browseMode,
+    accepts: (value) => BROWSE_MODES.some((mode) => mode.key === value),
+  },
+  pageSize: {
+    storageKey: STORAGE_KEYS.pageSize,
+    accepts: (value) => value === "auto" || PAGE_SIZE_OPTIONS.includes(value),
+  },
+};
+
+/**
+ * @typedef Section
+ * @property {string} id - Name of the section in the backup's `data`.
+ * @property {() => *} read - Reads the section's raw data from storage.
+ * @property {(raw: *) => {entries: Map<string, *>, dropped: number}} parse -
+ * Validates raw data into entries by key, counting malformed entries.
+ * @property {(entries: Map<string, *>) => *} serialize - Turns entries back
+ * into the section's raw data.
+ * @property {(entries: Map<string, *>) => void} write - Stores the entries.
+ */
+
+/**
+ * Builds a section stored as a single object of entries by key.
+ *
+ * @param {string} id
+ * @param {string} storageKey
+ * @param {(value: *, key: string) => *} validate - Returns the normalized value, or null.
+ * @returns {Section}
+ */
+function objectSection(id, storageKey, validate) {
+  const serialize = (entries) => Object.fromEntries(entries);
+  return {
+    id,
+    read: () => readStorage(storageKey, {}),
+    parse: (raw) => {
+      const entries = new Map();
+      let dropped = 0;
+      Object.entries(isObject(raw) ? raw : {}).forEach(([key, value]) => {
+        const valid = validate(value, key);
+        if (valid) entries.set(key, valid);
+        else dropped++;
+      });
+      return { entries, dropped };
+    },
+    serialize,
+    write: (entries) => writeStorage(storageKey, serialize(entries)),
+  };
+}
+
+/**
+ * Everything that is exported, in the order it is shown when importing.
+ * @type {Section[]}
+ */
+const SECTIONS = [
+  {
+    id: "favourites",
+    read: () => readStorage(STORAGE_KEYS.favourites, []),
+    parse: (raw) => {
+      const entries = new Map();
+      let dropped = 0;
+      (Array.isArray(raw) ? raw : []).forEach((item) => {
+        const fav = validateFavourite(item);
+        if (fav) entries.set(fav.key, fav);
+        else dropped++;
+      });
+      return { entries, dropped };
+    },
+    serialize: (entries) => [...entries.values()],
+    write: (entries) =>
+      writeStorage(STORAGE_KEYS.favourites, [...entries.values()]),
+  },
+  objectSection(
+    "listeningProgress",
+    STORAGE_KEYS.listeningProgress,
+    validateProgress
+  ),
+  objectSection(
+    "expandedSeasons",
+    STORAGE_KEYS.expandedSeasons,
+    validateSeasonList
+  ),
+  {
+    id: "preferences",
+    read: () =>
+      Object.fromEntries(
+        Object.entries(PREFERENCES)
+          .map(([name, { storageKey }]) => [
+            name,
+            readStorage(storageKey, null),
+          ])
+          .filter(([, value]) => value !== null)
+      ),
+    parse: (raw) => {
+      const entries = new Map();
+      let dropped = 0;
+      Object.entries(isObject(raw) ? raw : {}).forEach(([name, value]) => {
+        if (PREFERENCES[name]?.accepts(value)) entries.set(name, value);
+        else dropped++;
+      });
+      return { entries, dropped };
+    },
+    serialize: (entries) => Object.fromEntries(entries),
+    write: (entries) =>
+      entries.forEach((value, name) =>
+        writeStorage(PREFERENCES[name].storageKey, value)
+      ),
+  },
+];
+
+/**
+ * @function createBackup
+ * Bundles the user's stored data into a backup object, ready to be saved
+ * as JSON. Malformed stored entries are left out.
+ *
+ * @param {Date} [now] - Time of the export.
+ * @returns {{format: string, version: number, exportedAt: string, data: Object}}
+ **/
+export function createBackup(now = new Date()) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: now.toISOString(),
+    data: Object.fromEntries(
+      SECTIONS.map((section) => [
+        section.id,
+        section.serialize(section.parse(section.read()).entries),
+      ])
+    ),
+  };
+}
+
+/**
+ * @typedef ParsedBackup
+ * @property {string|null} exportedAt - When the backup was made, if known.
+ * @property {Object<string, {entries: Map<string, *>, dropped: number}>} sections -
+ * Valid entries of every section, and how many malformed ones were skipped.
+ */
+
+/**
+ * @function parseBackup
+ * Reads a backup file's contents. Malformed entries are skipped (and
+ * counted) rather than failing the whole import.
+ *
+ * @param {string} text - Contents of the backup file.
+ * @returns {ParsedBackup}
+ * @throws {BackupError} When the file isn't a backup this version can read.
+ **/
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new BackupError("invalid-json", "The file is not valid JSON.");
+  }
+
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    throw new BackupError(
+      "unknown-format",
+      "The file is not a Podcast App backup."
+    );
+  }
+  if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+    throw new BackupError(
+      "newer-version",
+      `The backup was made by a newer version of the app (format ${backup.version}).`
+    );
+  }
+
+  const data = isObject(backup.data) ? backup.data : {};
+  return {
+    exportedAt: isDate(backup.exportedAt) ? backup.exportedAt : null,
+    sections: Object.fromEntries(
+      SECTIONS.map((section) => [section.id, section.parse(data[section.id])])
+    ),
+  };
+}
+
+/**
+ * @typedef SectionPlan
+ * @property {string} id - Section name.
+ * @property {Map<string, *>} current - Entries stored now.
+ * @property {[string, *][]} added - Imported entries that are new.
+ * @property {{key: string, mine: *, theirs: *}[]} conflicts - Entries stored
+ * both here and in the backup, with different values.
+ * @property {number} unchanged - Imported entries identical to the stored ones.
+ * @property {number} dropped - Malformed entries skipped in the backup.
+ */
+
+/**
+ * @function planImport
+ * Compares a parsed backup with the stored data, section by section.
+ *
+ * @param {ParsedBackup} backup
+ * @returns {SectionPlan[]}
+ **/
+export function planImport(backup) {
+  return SECTIONS.map((section) => {
+    const current = section.parse(section.read()).entries;
+    const { entries, dropped } = backup.sections[section.id];
+    const plan = {
+      id: section.id,
+      current,
+      added: [],
+      conflicts: [],
+      unchanged: 0,
+      dropped,
+    };
+    entries.forEach((theirs, key) => {
+      if (!current.has(key)) plan.added.push([key, theirs]);
+      else if (JSON.stringify(current.get(key)) === JSON.stringify(theirs)) {
+        plan.unchanged++;
+      } else plan.conflicts.push({ key, mine: current.get(key), theirs });
+    });
+    return plan;
+  });
+}
+
+/**
+ * @param {string} sectionId
+ * @param {string} key
+ * @returns {string} ID of a conflict, as used in the choices of {@link applyImport}.
+ */
+export function getConflictId(sectionId, key) {
+  return `${sectionId}:${key}`;
+}
+
+/**
+ * @function applyImport
+ * Merges a planned import into the stored data: new entries are added, and
+ * each conflict keeps the stored value unless its choice is "theirs".
+ * Entries that only exist locally are always kept.
+ *
+ * @param {SectionPlan[]} plan - Result of {@link planImport}.
+ * @param {Object<string, "mine"|"theirs">} choices - Choice per conflict ID
+ * (see {@link getConflictId}).
+ * @returns {void}
+ **/
+export function applyImport(plan, choices) {
+  plan.forEach(({ id, current, added, conflicts }) => {
+    const merged = new Map([...current, ...added]);
+    conflicts.forEach(({ key, theirs }) => {
+      if (choices[getConflictId(id, key)] === "theirs") merged.set(key, theirs);
+    });
+    SECTIONS.find((section) => section.id === id).write(merged);
+  });
+}
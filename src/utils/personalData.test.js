@@ -0,0 +1,204 @@
+import { describe, expect, it } from "vitest";
+import {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  BackupError,
+  applyImport,
+  createBackup,
+  getConflictId,
+  parseBackup,
+  planImport,
+} from "./personalData";
+import { STORAGE_KEYS } from "./storage";
+
+/**
+ * @param {number} episode
+ * @param {string} [title]
+ */
+const favourite = (episode, title = `Episode ${episode}`) => ({
+  key: `10716-1-${episode}`,
+  showId: "10716",
+  showTitle: "Something Was Wrong",
+  season: 1,
+  episode,
+  title,
+  addedAt: "2025-03-01T10:00:00.000Z",
+});
+
+const progress = (position, completed = false) => ({
+  showId: "10716",
+  season: 1,
+  position,
+  duration: 1800,
+  completed,
+  updatedAt: "2025-03-02T10:00:00.000Z",
+});
+
+const store = (key, value) =>
+  window.localStorage.setItem(key, JSON.stringify(value));
+const stored = (key) => JSON.parse(window.localStorage.getItem(key));
+
+/**
+ * @param {Object} data - The backup's sections.
+ * @returns {string} A backup file's contents.
+ */
+const backupFile = (data) =>
+  JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: "2025-04-01T08:00:00.000Z",
+    data,
+  });
+
+describe("createBackup", () => {
+  it("bundles the stored sections, leaving out malformed entries", () => {
+    store(STORAGE_KEYS.favourites, [favourite(1), { key: "broken" }]);
+    store(STORAGE_KEYS.listeningProgress, { "10716-1-1": progress(60) });
+    store(STORAGE_KEYS.expandedSeasons, { 10716: [1, 2] });
+    store(STORAGE_KEYS.theme, "dark");
+    store(STORAGE_KEYS.pageSize, 20);
+
+    const backup = createBackup(new Date("2025-04-01T08:00:00.000Z"));
+
+    expect(backup).toEqual({
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      exportedAt: "2025-04-01T08:00:00.000Z",
+      data: {
+        favourites: [favourite(1)],
+        listeningProgress: { "10716-1-1": progress(60) },
+        expandedSeasons: { 10716: [1, 2] },
+        preferences: { theme: "dark", pageSize: 20 },
+      },
+    });
+  });
+
+  it("round-trips through parseBackup", () => {
+    store(STORAGE_KEYS.favourites, [favourite(1), favourite(2)]);
+    const { sections } = parseBackup(JSON.stringify(createBackup()));
+    expect([...sections.favourites.entries.keys()]).toEqual([
+      "10716-1-1",
+      "10716-1-2",
+    ]);
+    expect(sections.favourites.dropped).toBe(0);
+  });
+});
+
+describe("parseBackup", () => {
+  it.each([
+    ["invalid-json", "{not json"],
+    ["unknown-format", JSON.stringify({ favourites: [] })],
+    ["unknown-format", JSON.stringify([])],
+    [
+      "newer-version",
+      JSON.stringify({ format: BACKUP_FORMAT, version: BACKUP_VERSION + 1 }),
+    ],
+  ])("rejects files with %s", (code, text) => {
+    expect(() => parseBackup(text)).toThrow(BackupError);
+    try {
+      parseBackup(text);
+    } catch (err) {
+      expect(err.code).toBe(code);
+    }
+  });
+
+  it("skips and counts malformed entries", () => {
+    const { exportedAt, sections } = parseBackup(
+      backupFile({
+        favourites: [favourite(1), { ...favourite(2), key: "10716-9-9" }, 42],
+        listeningProgress: {
+          "10716-1-1": progress(60),
+          "10716-1-2": { ...progress(60), duration: 0 },
+        },
+        expandedSeasons: { 10716: [1], 7654: "all" },
+        preferences: { theme: "dark", locale: "xx", volume: 1 },
+      })
+    );
+
+    expect(exportedAt).toBe("2025-04-01T08:00:00.000Z");
+    expect(sections.favourites.entries.size).toBe(1);
+    expect(sections.favourites.dropped).toBe(2);
+    expect(sections.listeningProgress.dropped).toBe(1);
+    expect(sections.expandedSeasons.dropped).toBe(1);
+    expect([...sections.preferences.entries]).toEqual([["theme", "dark"]]);
+    expect(sections.preferences.dropped).toBe(2);
+  });
+
+  it("treats missing sections as empty", () => {
+    const { sections } = parseBackup(backupFile(undefined));
+    expect(Object.keys(sections)).toEqual([
+      "favourites",
+      "listeningProgress",
+      "expandedSeasons",
+      "preferences",
+    ]);
+    Object.values(sections).forEach((section) => {
+      expect(section.entries.size).toBe(0);
+    });
+  });
+});
+
+describe("planImport and applyImport", () => {
+  const importBackup = () =>
+    planImport(
+      parseBackup(
+        backupFile({
+          favourites: [favourite(1), favourite(2, "Renamed"), favourite(3)],
+          listeningProgress: { "10716-1-1": progress(900, true) },
+          preferences: { theme: "light" },
+        })
+      )
+    );
+
+  const setUpLocalData = () => {
+    store(STORAGE_KEYS.favourites, [favourite(1), favourite(2), favourite(4)]);
+    store(STORAGE_KEYS.listeningProgress, { "10716-1-1": progress(60) });
+    store(STORAGE_KEYS.theme, "dark");
+  };
+
+  it("sorts imported entries into added, conflicting and unchanged", () => {
+    setUpLocalData();
+    const plan = importBackup();
+    const favourites = plan.find((s) => s.id === "favourites");
+
+    expect(favourites.added.map(([key]) => key)).toEqual(["10716-1-3"]);
+    expect(favourites.conflicts).toEqual([
+      { key: "10716-1-2", mine: favourite(2), theirs: favourite(2, "Renamed") },
+    ]);
+    expect(favourites.unchanged).toBe(1);
+    expect(plan.find((s) => s.id === "preferences").conflicts).toEqual([
+      { key: "theme", mine: "dark", theirs: "light" },
+    ]);
+  });
+
+  it("keeps local versions of conflicts unless told otherwise", () => {
+    setUpLocalData();
+    applyImport(importBackup(), {});
+
+    expect(stored(STORAGE_KEYS.favourites)).toEqual([
+      favourite(1),
+      favourite(2),
+      favourite(4),
+      favourite(3),
+    ]);
+    expect(stored(STORAGE_KEYS.listeningProgress)).toEqual({
+      "10716-1-1": progress(60),
+    });
+    expect(stored(STORAGE_KEYS.theme)).toBe("dark");
+  });
+
+  it("takes the backup's version of conflicts chosen as theirs", () => {
+    setUpLocalData();
+    applyImport(importBackup(), {
+      [getConflictId("favourites", "10716-1-2")]: "theirs",
+      [getConflictId("listeningProgress", "10716-1-1")]: "theirs",
+      [getConflictId("preferences", "theme")]: "mine",
+    });
+
+    expect(stored(STORAGE_KEYS.favourites)[1]).toEqual(favourite(2, "Renamed"));
+    expect(stored(STORAGE_KEYS.listeningProgress)["10716-1-1"]).toEqual(
+      progress(900, true)
+    );
+    expect(stored(STORAGE_KEYS.theme)).toBe("dark");
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Ranks shows that are similar to a given one, for the "More like this"
+ * strip in the show detail view.
+ */
+
+/**
+ * How much each signal counts towards a recommendation's score. Every signal
+ * is scaled to 0–1 first, so the weights add up to the maximum score.
+ */
+const WEIGHTS = {
+  genres: 0.6,
+  recency: 0.25,
+  seasons: 0.15,
+};
+
+/**
+ * Share of genres two shows have in common (Jaccard index).
+ *
+ * @param {number[]} a - Genre IDs of one show.
+ * @param {number[]} b - Genre IDs of the other show.
+ * @returns {number} 0 (nothing in common) to 1 (same genres).
+ */
+function genreOverlap(a, b) {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 0;
+  const shared = a.filter((id) => b.includes(id)).length;
+  return shared / union.size;
+}
+
+/**
+ * How alike two season counts are: 1 when equal, approaching 0 as one grows
+ * much larger than the other.
+ *
+ * @param {number} a
+ * @param {number} b
+ * @returns {number} 0 to 1.
+ */
+function seasonSimilarity(a, b) {
+  const larger = Math.max(a, b);
+  return larger > 0 ? 1 - Math.abs(a - b) / larger : 1;
+}
+
+/**
+ * @function recommendShows
+ * Picks the shows most like `show` from the catalogue. Shows score higher
+ * the more genres they share with it, the more recently they were updated
+ * (relative to the rest of the catalogue) and the closer their season count
+ * is. The show itself is never recommended.
+ *
+ * @param {{id: string|number, genres: number[], seasons: number}} show - The show being viewed, with genre IDs.
+ * @param {import("../context/PodcastContext").Podcast[]} podcasts - The catalogue to pick from.
+ * @param {number} [limit=8] - Maximum number of recommendations.
+ * @returns {import("../context/PodcastContext").Podcast[]} Recommended shows, best match first.
+ **/
+export function recommendShows(show, podcasts, limit = 8) {
+  const candidates = podcasts.filter((p) => String(p.id) !== String(show.id));
+  if (candidates.length === 0) return [];
+
+  const times = candidates.map((p) => new Date(p.updated).getTime() || 0);
+  const newest = Math.max(...times);
+  const oldest = Math.min(...times);
+
+  return candidates
+    .map((podcast, i) => {
+      const recency =
+        newest === oldest ? 1 : (times[i] - oldest) / (newest - oldest);
+      const score =
+        WEIGHTS.genres * genreOverlap(show.genres, podcast.genres) +
+        WEIGHTS.recency * recency +
+        WEIGHTS.seasons * seasonSimilarity(show.seasons, podcast.seasons);
+      return { podcast, score };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score || a.podcast.title.localeCompare(b.podcast.title)
+    )
+    .slice(0, limit)
+    .map(({ podcast }) => podcast);
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { recommendShows } from "./recommendShows";
+
+/**
+ * @param {number} id
+ * @param {number[]} genres
+ * @param {string} updated
+ * @param {number} [seasons=1]
+ */
+const podcast = (id, genres, updated, seasons = 1) => ({
+  id,
+  title: `Show ${id}`,
+  genres,
+  updated,
+  seasons,
+});
+
+describe("recommendShows", () => {
+  const current = { id: 1, genres: [1, 2], seasons: 2 };
+
+  it("never recommends the show itself", () => {
+    const catalogue = [
+      podcast(1, [1, 2], "2025-01-01"),
+      podcast(2, [3], "2025-01-01"),
+    ];
+    expect(recommendShows(current, catalogue).map((p) => p.id)).toEqual([2]);
+    expect(recommendShows(current, [catalogue[0]])).toEqual([]);
+  });
+
+  it("ranks shows sharing more genres first", () => {
+    const catalogue = [
+      podcast(2, [5], "2025-01-01", 2),
+      podcast(3, [1, 2], "2025-01-01", 2),
+      podcast(4, [2, 7], "2025-01-01", 2),
+    ];
+    expect(recommendShows(current, catalogue).map((p) => p.id)).toEqual([
+      3, 4, 2,
+    ]);
+  });
+
+  it("prefers recently updated shows and similar season counts", () => {
+    const catalogue = [
+      podcast(2, [1], "2020-01-01", 2),
+      podcast(3, [1], "2025-01-01", 2),
+      podcast(4, [1], "2025-01-01", 20),
+    ];
+    expect(recommendShows(current, catalogue).map((p) => p.id)).toEqual([
+      3, 4, 2,
+    ]);
+  });
+
+  it("limits the number of recommendations", () => {
+    const catalogue = Array.from({ length: 12 }, (_, i) =>
+      podcast(i + 2, [1], "2025-01-01")
+    );
+    expect(recommendShows(current, catalogue)).toHaveLength(8);
+    expect(recommendShows(current, catalogue, 3)).toHaveLength(3);
+  });
+});
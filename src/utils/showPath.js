@@ -0,0 +1,33 @@
+/**
+ * @function getShowPath
+ * Builds the app path of a show's detail view, optionally pointing at one of
+ * its seasons or a single episode, which the view then scrolls to.
+ * Example output: "/show/10716/season/3/episode/7".
+ *
+ * @param {string|number} showId - ID of the show.
+ * @param {number} [season] - Season number.
+ * @param {number} [episode] - Episode number within the season.
+ * @returns {string} The path, without query string.
+ **/
+export function getShowPath(showId, season, episode) {
+  let path = `/show/${showId}`;
+  if (season !== undefined) path += `/season/${season}`;
+  if (season !== undefined && episode !== undefined) {
+    path += `/episode/${episode}`;
+  }
+  return path;
+}
+
+/**
+ * @function getEpisodeAnchor
+ * Element ID of an episode row in the show detail view, which links to the
+ * episode scroll to.
+ * Example output: "season-3-episode-7".
+ *
+ * @param {number} season - Season number.
+ * @param {number} episode - Episode number.
+ * @returns {string} The element ID.
+ **/
+export function getEpisodeAnchor(season, episode) {
+  return `season-${season}-episode-${episode}`;
+}
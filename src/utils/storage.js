@@ -0,0 +1,61 @@
+/**
+ * localStorage keys of everything the app remembers about the user. Kept in
+ * one place so the data export knows what to bundle.
+ */
+export const STORAGE_KEYS = {
+  favourites: "podcast-app:favourites",
+  listeningProgress: "podcast-app:listening-progress",
+  expandedSeasons: "podcast-app:expanded-seasons",
+  theme: "podcast-app:theme",
+  locale: "podcast-app:locale",
+  browseMode: "podcast-app:browse-mode",
+  pageSize: "podcast-app:page-size",
+};
+
+/**
+ * @param {"local"|"session"} area - Which Web Storage area to use.
+ * @returns {Storage} localStorage or sessionStorage.
+ */
+function getArea(area) {
+  return area === "session" ? window.sessionStorage : window.localStorage;
+}
+
+/**
+ * @function readStorage
+ * Reads and parses a JSON value from localStorage.
+ * Falls back when the key is missing, unparsable, or storage is unavailable
+ * (e.g. private browsing with storage disabled).
+ *
+ * @param {string} key - The localStorage key.
+ * @param {*} fallback - Value returned when nothing usable is stored.
+ * @param {"local"|"session"} [area="local"] - Use sessionStorage instead for
+ * state that should only live as long as the tab.
+ * @returns {*} The stored value or the fallback.
+ **/
+export function readStorage(key, fallback, area = "local") {
+  try {
+    const raw = getArea(area).getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.error(`Failed to read "${key}" from storage:`, err);
+    return fallback;
+  }
+}
+
+/**
+ * @function writeStorage
+ * Serializes a value as JSON and writes it to localStorage.
+ * Failures (quota exceeded, storage disabled) are logged and ignored.
+ *
+ * @param {string} key - The localStorage key.
+ * @param {*} value - Any JSON-serializable value.
+ * @param {"local"|"session"} [area="local"] - Storage area, see {@link readStorage}.
+ * @returns {void}
+ **/
+export function writeStorage(key, value, area = "local") {
+  try {
+    getArea(area).setItem(key, JSON.stringify(value));
+  } catch (err) {
+    console.error(`Failed to write "${key}" to storage:`, err);
+  }
+}